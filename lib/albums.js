@@ -0,0 +1,212 @@
+/**
+ * lib/albums.js
+ *
+ * Gallery albums for the homepage: a title, description and cover, and an ordered list of
+ * top-level gallery images (public/images/<file>) each with its own caption and alt text.
+ * Stored in data/albums.json through the shared JSON store (lib/store.js); the array order is
+ * the order albums are shown in, and each album's `items` order is the order of its photos.
+ *
+ *   { id, slug, title, description, cover: "<file>" | null,
+ *     items: [{ file, caption, alt }], createdAt, updatedAt }
+ *
+ * A file can sit in several albums. Gallery images in no album are still shown (as "unsorted")
+ * so new uploads never disappear from the site.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const store = require("./store");
+const { slugify } = require("./catalog");
+const { httpError } = require("./validate");
+
+const ALBUMS_FILE = path.join(__dirname, "..", "data", "albums.json");
+const IMAGES_DIR = path.join(__dirname, "..", "public", "images");
+
+const GALLERY_FILE = /^[^/\\]+\.(jpg|jpeg|png|gif|webp|svg|heic|heif)$/i;
+const MAX_ITEMS = 500;
+
+/* ----------------- FILE ----------------- */
+const albumsStore = store.createJsonStore({
+    name: "albums",
+    file: ALBUMS_FILE,
+    empty: [],
+    validate: store.arrayOfRecords("slug", "title")
+});
+
+function readAlbums() {
+    return albumsStore.read();
+}
+
+/* ----------------- VALIDATION ----------------- */
+function text(raw, max) {
+    return String(raw === undefined || raw === null ? "" : raw).trim().slice(0, max + 1);
+}
+
+// "/images/a.jpg" | "images/a.jpg" | "a.jpg" -> "a.jpg"
+function galleryFile(raw) {
+    return String(raw || "").trim().replace(/^\/+/, "").replace(/^images\//, "");
+}
+
+async function exists(file) {
+    try { await fsp.access(path.join(IMAGES_DIR, file)); return true; } catch { return false; }
+}
+
+/**
+ * Validate an album body from the admin. With `partial`, only the fields present are checked
+ * (for updates). Returns { values, errors } — errors is a { field: message } map.
+ */
+async function validateAlbum(body, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+    const has = k => !partial || body[k] !== undefined;
+
+    if (has("title")) {
+        values.title = text(body.title, 80);
+        if (!values.title) errors.title = "Title is required";
+        else if (values.title.length > 80) errors.title = "Title must be at most 80 characters";
+    }
+    if (has("description")) {
+        values.description = text(body.description, 500);
+        if (values.description.length > 500) errors.description = "Description must be at most 500 characters";
+    }
+    if (has("items")) {
+        const raw = body.items === undefined ? [] : body.items;
+        if (!Array.isArray(raw)) errors.items = "Items must be a list";
+        else if (raw.length > MAX_ITEMS) errors.items = `At most ${MAX_ITEMS} photos per album`;
+        else {
+            const seen = new Set();
+            values.items = [];
+            for (const it of raw) {
+                const file = galleryFile(it && typeof it === "object" ? it.file : it);
+                const caption = text(it && it.caption, 300);
+                const alt = text(it && it.alt, 200);
+                if (!GALLERY_FILE.test(file)) { errors.items = `Not a gallery image: ${file || "(empty)"}`; break; }
+                if (seen.has(file)) continue;
+                if (!await exists(file)) { errors.items = `Image not found: ${file}`; break; }
+                if (caption.length > 300) { errors.items = `Caption of ${file} must be at most 300 characters`; break; }
+                if (alt.length > 200) { errors.items = `Alt text of ${file} must be at most 200 characters`; break; }
+                seen.add(file);
+                values.items.push({ file, caption, alt });
+            }
+        }
+    }
+    if (has("cover")) {
+        values.cover = body.cover ? galleryFile(body.cover) : null;
+    }
+    return { values, errors };
+}
+
+function assertCover(values, items) {
+    if (values.cover && !items.some(i => i.file === values.cover)) {
+        throw httpError(400, "The cover must be one of the album's photos", { fields: { cover: "Not in this album" } });
+    }
+}
+
+// the cover has to be one of the album's photos; default to the first
+function fixCover(album) {
+    const files = album.items.map(i => i.file);
+    if (!album.cover || !files.includes(album.cover)) album.cover = files[0] || null;
+    return album;
+}
+
+function uniqueSlug(title, albums, ownId) {
+    const base = slugify(title) || "album";
+    const taken = new Set(albums.filter(a => a.id !== ownId).map(a => a.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+}
+
+/* ----------------- CHANGES ----------------- */
+async function createAlbum(values) {
+    assertCover(values, values.items || []);
+    return albumsStore.update(list => {
+        const now = new Date().toISOString();
+        const album = fixCover({
+            id: uuidv4(),
+            slug: uniqueSlug(values.title, list),
+            title: values.title,
+            description: values.description || "",
+            cover: values.cover || null,
+            items: values.items || [],
+            createdAt: now,
+            updatedAt: now
+        });
+        list.push(album);
+        return album;
+    });
+}
+
+/**
+ * Apply validated `values` to album `id`. A new title gives a new slug.
+ * Resolves with { before, after }; 404 when there is no such album.
+ */
+async function updateAlbum(id, values) {
+    return albumsStore.update(list => {
+        const idx = list.findIndex(a => a.id === id);
+        if (idx === -1) throw httpError(404, "Album not found");
+        const before = list[idx];
+        assertCover(values, values.items || before.items);
+        const after = fixCover({ ...before, ...values, updatedAt: new Date().toISOString() });
+        if (values.title !== undefined && values.title !== before.title) after.slug = uniqueSlug(values.title, list, id);
+        list[idx] = after;
+        return { before, after };
+    });
+}
+
+async function deleteAlbum(id) {
+    return albumsStore.update(list => {
+        const idx = list.findIndex(a => a.id === id);
+        if (idx === -1) throw httpError(404, "Album not found");
+        return list.splice(idx, 1)[0];
+    });
+}
+
+/**
+ * Put the albums in the order of `ids` (every album id exactly once).
+ * Resolves with { before, after } id lists.
+ */
+async function reorderAlbums(ids) {
+    return albumsStore.update(list => {
+        const before = list.map(a => a.id);
+        const wanted = Array.isArray(ids) ? ids.map(String) : [];
+        if (wanted.length !== list.length || new Set(wanted).size !== list.length || !wanted.every(id => before.includes(id))) {
+            throw httpError(400, "ids must list every album exactly once");
+        }
+        list.sort((a, b) => wanted.indexOf(a.id) - wanted.indexOf(b.id));
+        return { before, after: wanted };
+    });
+}
+
+/**
+ * A gallery image was deleted: take it out of every album. Never throws.
+ */
+async function forgetFile(ref) {
+    try {
+        const file = galleryFile(ref);
+        const list = await readAlbums();
+        if (!list.some(a => a.items.some(i => i.file === file))) return;
+        await albumsStore.update(all => {
+            for (const a of all) {
+                if (!a.items.some(i => i.file === file)) continue;
+                a.items = a.items.filter(i => i.file !== file);
+                fixCover(a);
+            }
+        });
+    } catch (err) {
+        console.error("albums cleanup error", ref, err.message);
+    }
+}
+
+module.exports = {
+    albumsStore,
+    readAlbums,
+    validateAlbum,
+    createAlbum,
+    updateAlbum,
+    deleteAlbum,
+    reorderAlbums,
+    forgetFile
+};
@@ -0,0 +1,133 @@
+/**
+ * lib/audit.js
+ *
+ * Audit log of admin actions: who did what, when, from where, with a before / after
+ * snapshot of the record it touched.
+ *
+ * Entries are appended one JSON object per line to data/audit.log (never rewritten, so a
+ * crash can at worst cut the last line short — those lines are skipped when reading).
+ *
+ *   { id, at, actor, role, ip, action, target, before, after }
+ *
+ * record() never throws: a failed audit write is logged but does not undo the action.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const crypto = require("crypto");
+const { httpError } = require("./validate");
+
+const AUDIT_FILE = path.join(__dirname, "..", "data", "audit.log");
+
+// every action the server records, for the filter on the audit page
+const ACTIONS = [
+    "product.add", "product.update", "product.delete", "product.restore", "product.purge",
+    "product.import", "product.import.discard",
+    "image.upload", "image.delete", "image.edit", "image.revert", "image.variants.backfill",
+    "media.orphans.cleanup",
+    "album.add", "album.update", "album.delete", "album.reorder",
+    "promotion.add", "promotion.update", "promotion.delete",
+    "review.approve", "review.hide", "review.reject", "review.reply",
+    "order.status",
+    "user.add", "user.delete", "auth.login", "auth.login.failed",
+    "backup.restore", "backup.restore.discard",
+    "notification.retry", "notification.test"
+];
+const MAX_LIMIT = 200;
+
+let writing = Promise.resolve(); // appends go one at a time so lines never interleave
+
+/**
+ * Append an entry for the admin on `req` (set by requireAdmin).
+ * details: { target, before, after, actor? } — target is a short string such as "product:<id>".
+ */
+function record(req, action, { target = null, before = null, after = null, actor } = {}) {
+    const entry = {
+        id: crypto.randomBytes(8).toString("hex"),
+        at: new Date().toISOString(),
+        actor: actor || (req.admin && req.admin.username) || null,
+        role: (req.admin && req.admin.role) || null,
+        ip: req.ip || null,
+        action,
+        target,
+        before,
+        after
+    };
+    writing = writing
+        .then(() => fsp.mkdir(path.dirname(AUDIT_FILE), { recursive: true }))
+        .then(() => fsp.appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n"))
+        .catch(err => console.error("audit log write error", action, err));
+    return writing;
+}
+
+async function readAll() {
+    let text;
+    try {
+        text = await fsp.readFile(AUDIT_FILE, "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+    }
+    const out = [];
+    for (const line of text.split("\n")) {
+        if (!line) continue;
+        try { out.push(JSON.parse(line)); } catch { /* torn last line */ }
+    }
+    return out;
+}
+
+function parseDate(value, key) {
+    if (!value) return null;
+    const t = new Date(value).getTime();
+    if (!Number.isFinite(t)) throw httpError(400, `${key} must be a date (YYYY-MM-DD or ISO time)`);
+    return t;
+}
+
+/**
+ * Filtered entries, newest first.
+ * q: { actor, action (exact or prefix like "product."), target, q (free text), from, to, limit, page }
+ * Resolves with { items, total, page, pages, limit }.
+ */
+async function query(q = {}) {
+    const limit = q.limit === undefined ? 50 : Number(q.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw httpError(400, `limit must be 1-${MAX_LIMIT}`);
+    const page = q.page === undefined ? 1 : Number(q.page);
+    if (!Number.isInteger(page) || page < 1) throw httpError(400, "page must be a positive whole number");
+    const from = parseDate(q.from, "from");
+    // a bare date for `to` means the whole of that day
+    let to = parseDate(q.to, "to");
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(q.to))) to += 24 * 60 * 60 * 1000 - 1;
+
+    const actor = String(q.actor || "").trim().toLowerCase();
+    const action = String(q.action || "").trim();
+    const target = String(q.target || "").trim();
+    const text = String(q.q || "").trim().toLowerCase();
+
+    const matches = (await readAll()).filter(e => {
+        const at = new Date(e.at).getTime();
+        if (from !== null && at < from) return false;
+        if (to !== null && at > to) return false;
+        if (actor && String(e.actor || "").toLowerCase() !== actor) return false;
+        if (action && e.action !== action && !(action.endsWith(".") && e.action.startsWith(action))) return false;
+        if (target && !String(e.target || "").includes(target)) return false;
+        if (text && !JSON.stringify(e).toLowerCase().includes(text)) return false;
+        return true;
+    }).reverse();
+
+    return {
+        items: matches.slice((page - 1) * limit, page * limit),
+        total: matches.length,
+        page,
+        pages: Math.max(1, Math.ceil(matches.length / limit)),
+        limit
+    };
+}
+
+module.exports = {
+    AUDIT_FILE,
+    ACTIONS,
+    MAX_LIMIT,
+    record,
+    query
+};
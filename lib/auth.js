@@ -0,0 +1,281 @@
+/**
+ * lib/auth.js
+ *
+ * Admin accounts, sessions and CSRF protection for the admin pages.
+ *
+ * - admin users live in data/admins.json (outside public), passwords hashed with scrypt
+ * - sessions are held in memory only (a restart logs everyone out); the cookie carries
+ *   "<sessionId>.<hmac>" signed with SESSION_SECRET
+ * - every session gets its own CSRF token which mutating admin requests must echo back
+ *   in the X-CSRF-Token header
+ * - roles: "owner" (everything, incl. staff accounts), "catalog" (products & images),
+ *   "reviews" (review moderation), "orders" (enquiry / order board)
+ * - public visitors get a signed random id cookie (visitorId) so they can only vote once
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { errorResponse, httpError } = require("./validate");
+
+const ADMINS_FILE = path.join(__dirname, "..", "data", "admins.json");
+
+const COOKIE_NAME = "dory_admin";
+const VISITOR_COOKIE = "dory_visitor";
+const VISITOR_TTL_SEC = 365 * 24 * 60 * 60;
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+const ROLES = ["owner", "catalog", "reviews", "orders"];
+
+// login throttling: max failures per IP inside the window
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+const sessions = new Map();      // sessionId -> { username, role, csrf, expires }
+const loginFailures = new Map(); // ip -> { count, first }
+
+if (!process.env.SESSION_SECRET) {
+    console.warn("SESSION_SECRET not set — using a random secret, visitor cookies will not survive a restart");
+}
+
+/* ----------------- USERS FILE ----------------- */
+function readAdmins() {
+    try {
+        if (!fs.existsSync(ADMINS_FILE)) return [];
+        const list = JSON.parse(fs.readFileSync(ADMINS_FILE, "utf8") || "[]");
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        console.error("readAdmins error", e);
+        return [];
+    }
+}
+function writeAdmins(list) {
+    fs.mkdirSync(path.dirname(ADMINS_FILE), { recursive: true });
+    fs.writeFileSync(ADMINS_FILE, JSON.stringify(list, null, 2), "utf8");
+}
+
+function publicUser(u) {
+    return { username: u.username, role: u.role, createdAt: u.createdAt };
+}
+
+/* ----------------- PASSWORDS ----------------- */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 64);
+    return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, "hex");
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/* ----------------- ACCOUNT MANAGEMENT ----------------- */
+function validateNewUser({ username, password, role }) {
+    if (!/^[a-zA-Z0-9._-]{3,32}$/.test(String(username || ""))) return "Username must be 3-32 letters, digits, . _ or -";
+    if (String(password || "").length < 8) return "Password must be at least 8 characters";
+    if (!ROLES.includes(role)) return `Role must be one of: ${ROLES.join(", ")}`;
+    return null;
+}
+
+function listUsers() {
+    return readAdmins().map(publicUser);
+}
+
+function addUser({ username, password, role }) {
+    const err = validateNewUser({ username, password, role });
+    if (err) throw httpError(400, err);
+    const list = readAdmins();
+    if (list.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+        throw httpError(409, "Username already exists");
+    }
+    const user = { username, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+    list.push(user);
+    writeAdmins(list);
+    return publicUser(user);
+}
+
+function removeUser(username) {
+    const list = readAdmins();
+    const idx = list.findIndex(u => u.username === username);
+    if (idx === -1) throw httpError(404, "User not found");
+    const owners = list.filter(u => u.role === "owner");
+    if (list[idx].role === "owner" && owners.length === 1) {
+        throw httpError(400, "Cannot remove the last owner");
+    }
+    const removed = list.splice(idx, 1)[0];
+    writeAdmins(list);
+    // end any live sessions of the removed user
+    for (const [sid, s] of sessions) if (s.username === removed.username) sessions.delete(sid);
+    return publicUser(removed);
+}
+
+// Create the first owner from ADMIN_USERNAME / ADMIN_PASSWORD when no accounts exist yet
+function seedOwnerFromEnv() {
+    if (readAdmins().length) return;
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password) {
+        console.warn("No admin accounts yet — set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner");
+        return;
+    }
+    try {
+        addUser({ username, password, role: "owner" });
+        console.log(`Created owner account "${username}"`);
+    } catch (e) {
+        console.error("seedOwnerFromEnv error", e.message);
+    }
+}
+
+/* ----------------- COOKIES & SESSIONS ----------------- */
+function parseCookies(header) {
+    const out = {};
+    String(header || "").split(";").forEach(part => {
+        const i = part.indexOf("=");
+        if (i === -1) return;
+        const k = part.slice(0, i).trim();
+        if (!k) return;
+        try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch { out[k] = part.slice(i + 1).trim(); }
+    });
+    return out;
+}
+
+function sign(value) {
+    return crypto.createHmac("sha256", SESSION_SECRET).update(value).digest("base64url");
+}
+
+function safeEqual(a, b) {
+    const ab = Buffer.from(String(a));
+    const bb = Buffer.from(String(b));
+    return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function readSession(req) {
+    const raw = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!raw) return null;
+    const dot = raw.lastIndexOf(".");
+    if (dot === -1) return null;
+    const sid = raw.slice(0, dot);
+    if (!safeEqual(raw.slice(dot + 1), sign(sid))) return null;
+    const s = sessions.get(sid);
+    if (!s) return null;
+    if (s.expires < Date.now()) { sessions.delete(sid); return null; }
+    return { id: sid, ...s };
+}
+
+function cookieFlags(req, maxAgeSec) {
+    const secure = req.secure ? "; Secure" : "";
+    return `; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSec}${secure}`;
+}
+
+function startSession(req, res, user) {
+    const sid = crypto.randomBytes(24).toString("base64url");
+    const session = {
+        username: user.username,
+        role: user.role,
+        csrf: crypto.randomBytes(24).toString("base64url"),
+        expires: Date.now() + SESSION_TTL_MS
+    };
+    sessions.set(sid, session);
+    res.setHeader("Set-Cookie", `${COOKIE_NAME}=${sid}.${sign(sid)}${cookieFlags(req, Math.floor(SESSION_TTL_MS / 1000))}`);
+    return session;
+}
+
+function endSession(req, res) {
+    const s = readSession(req);
+    if (s) sessions.delete(s.id);
+    res.setHeader("Set-Cookie", `${COOKIE_NAME}=${cookieFlags(req, 0)}`);
+}
+
+/**
+ * The id of the public visitor on `req`, from the signed visitor cookie. A visitor without a
+ * (valid) cookie gets a new id, set on `res`. Only says "same browser", not who someone is.
+ */
+function visitorId(req, res) {
+    const raw = parseCookies(req.headers.cookie)[VISITOR_COOKIE];
+    const dot = raw ? raw.lastIndexOf(".") : -1;
+    if (dot > 0 && safeEqual(raw.slice(dot + 1), sign(raw.slice(0, dot)))) return raw.slice(0, dot);
+    const id = crypto.randomBytes(16).toString("base64url");
+    res.append("Set-Cookie", `${VISITOR_COOKIE}=${id}.${sign(id)}${cookieFlags(req, VISITOR_TTL_SEC)}`);
+    return id;
+}
+
+// drop expired sessions now and then so the map doesn't grow forever
+setInterval(() => {
+    const now = Date.now();
+    for (const [sid, s] of sessions) if (s.expires < now) sessions.delete(sid);
+    for (const [ip, f] of loginFailures) if (now - f.first > LOGIN_WINDOW_MS) loginFailures.delete(ip);
+}, 10 * 60 * 1000).unref();
+
+/* ----------------- LOGIN ----------------- */
+function isLoginBlocked(ip) {
+    const f = loginFailures.get(ip);
+    if (!f) return false;
+    if (Date.now() - f.first > LOGIN_WINDOW_MS) { loginFailures.delete(ip); return false; }
+    return f.count >= LOGIN_MAX_FAILURES;
+}
+function recordLoginFailure(ip) {
+    const f = loginFailures.get(ip);
+    if (!f || Date.now() - f.first > LOGIN_WINDOW_MS) loginFailures.set(ip, { count: 1, first: Date.now() });
+    else f.count++;
+}
+function clearLoginFailures(ip) {
+    loginFailures.delete(ip);
+}
+
+// Returns the matching account or null. Runs the hash even for unknown users to keep timing flat.
+function authenticate(username, password) {
+    const user = readAdmins().find(u => u.username === String(username || ""));
+    const ok = verifyPassword(password, user ? user.passwordHash : hashPassword("dummy-password"));
+    return ok && user ? user : null;
+}
+
+/* ----------------- MIDDLEWARE ----------------- */
+function hasRole(session, role) {
+    return !!session && (session.role === "owner" || session.role === role);
+}
+
+/**
+ * requireAdmin(...roles)
+ * Returns middleware that needs a valid session (and one of `roles` if given; owner always passes).
+ * Non-GET requests must also carry the session's CSRF token in X-CSRF-Token.
+ */
+function requireAdmin(...roles) {
+    return (req, res, next) => {
+        const s = readSession(req);
+        const refuse = (status, message, code) => {
+            const { body } = errorResponse(httpError(status, message, { code }));
+            res.status(status).json(body);
+        };
+        if (!s) return refuse(401, "Admin authentication required");
+        if (roles.length && !roles.some(r => hasRole(s, r))) {
+            return refuse(403, "Your account is not allowed to do this");
+        }
+        if (!["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+            const token = req.get("x-csrf-token");
+            if (!token || !safeEqual(token, s.csrf)) return refuse(403, "Invalid CSRF token", "CSRF_INVALID");
+        }
+        req.admin = { username: s.username, role: s.role };
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    seedOwnerFromEnv,
+    listUsers,
+    addUser,
+    removeUser,
+    authenticate,
+    isLoginBlocked,
+    recordLoginFailure,
+    clearLoginFailures,
+    readSession,
+    startSession,
+    endSession,
+    visitorId,
+    requireAdmin
+};
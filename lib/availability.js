@@ -0,0 +1,213 @@
+/**
+ * lib/availability.js
+ *
+ * When a product can be seen and ordered.
+ *
+ * Stored on each product (all optional — products saved before these existed are
+ * "available", always published, orderable any day with no notice):
+ *   availability   "available" | "sold-out" | "seasonal" (seasonal = available, shown with a badge)
+ *   dailyCapacity  max quantity across open orders for one requested date, null = unlimited
+ *   leadTimeHours  notice needed; the earliest date is the shop-local date `leadTimeHours` from now
+ *   weekdays       days it can be made, 0 = Sunday ... 6 = Saturday; null = every day
+ *   publishFrom / publishUntil   ISO times; outside this window the product is hidden from the public
+ *
+ * Dates customers pick are plain "YYYY-MM-DD" in the shop's time zone (SHOP_TIMEZONE).
+ */
+
+const STATUSES = ["available", "sold-out", "seasonal"];
+const FIELDS = ["availability", "dailyCapacity", "leadTimeHours", "weekdays", "publishFrom", "publishUntil"];
+const TIMEZONE = process.env.SHOP_TIMEZONE || "Asia/Kolkata";
+const MAX_LEAD_HOURS = 24 * 60;
+const SEARCH_DAYS = 120; // how far ahead earliestDate looks for a free day
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const localDateFormat = new Intl.DateTimeFormat("en-CA", { timeZone: TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit" });
+
+/* ----------------- DATES ----------------- */
+// shop-local "YYYY-MM-DD" for a timestamp
+function localDate(ms) {
+    return localDateFormat.format(new Date(ms));
+}
+
+function addDays(date, n) {
+    return new Date(Date.parse(date + "T00:00:00Z") + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+    return new Date(date + "T00:00:00Z").getUTCDay();
+}
+
+/* ----------------- VALIDATION ----------------- */
+function parseWeekdays(raw) {
+    if (raw === null || raw === "") return [];
+    let list = raw;
+    if (typeof raw === "string") {
+        try { list = raw.trim().startsWith("[") ? JSON.parse(raw) : raw.split(","); } catch { return null; }
+    }
+    if (!Array.isArray(list)) list = [list];
+    const days = list.map(d => String(d).trim()).filter(Boolean).map(Number);
+    if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return null;
+    return Array.from(new Set(days)).sort();
+}
+
+function parseTime(raw) {
+    const s = String(raw ?? "").trim();
+    if (!s) return { value: null };
+    const t = Date.parse(s);
+    return Number.isFinite(t) ? { value: new Date(t).toISOString() } : { error: true };
+}
+
+/**
+ * Validate the availability fields present in `body` (multipart strings or JSON).
+ * With { partial: true } only fields sent are returned; otherwise defaults fill the rest (add).
+ * `current` is the stored product on update, so a new window can be checked against the other end.
+ * Returns { values, errors } like validateProductFields().
+ */
+function validateFields(body, { partial = false, current = {} } = {}) {
+    const values = {};
+    const errors = {};
+    const has = f => body[f] !== undefined;
+
+    if (has("availability") || !partial) {
+        const status = String(body.availability || "available").trim();
+        if (!STATUSES.includes(status)) errors.availability = `Availability must be one of: ${STATUSES.join(", ")}`;
+        else values.availability = status;
+    }
+    if (has("dailyCapacity") || !partial) {
+        const raw = String(body.dailyCapacity ?? "").trim();
+        const n = Number(raw);
+        if (!raw) values.dailyCapacity = null;
+        else if (!Number.isInteger(n) || n < 1 || n > 10000) errors.dailyCapacity = "Daily capacity must be a whole number from 1 (or empty for no limit)";
+        else values.dailyCapacity = n;
+    }
+    if (has("leadTimeHours") || !partial) {
+        const raw = String(body.leadTimeHours ?? "").trim();
+        const n = raw ? Number(raw) : 0;
+        if (!Number.isInteger(n) || n < 0 || n > MAX_LEAD_HOURS) errors.leadTimeHours = `Lead time must be 0-${MAX_LEAD_HOURS} hours`;
+        else values.leadTimeHours = n;
+    }
+    if (has("weekdays") || !partial) {
+        const days = parseWeekdays(body.weekdays ?? "");
+        if (days === null) errors.weekdays = "Weekdays must be numbers 0 (Sunday) to 6 (Saturday)";
+        // none ticked / all ticked both mean every day
+        else values.weekdays = days.length && days.length < 7 ? days : null;
+    }
+    for (const key of ["publishFrom", "publishUntil"]) {
+        if (!has(key) && partial) continue;
+        const t = parseTime(body[key]);
+        if (t.error) errors[key] = "Must be a date and time";
+        else values[key] = t.value;
+    }
+    const from = "publishFrom" in values ? values.publishFrom : current.publishFrom;
+    const until = "publishUntil" in values ? values.publishUntil : current.publishUntil;
+    if (!errors.publishFrom && !errors.publishUntil && from && until && from >= until) {
+        errors.publishUntil = "Must be after the publish-from time";
+    }
+    return { values, errors };
+}
+
+/* ----------------- RULES ----------------- */
+function isPublished(p, now = Date.now()) {
+    if (p.publishFrom && Date.parse(p.publishFrom) > now) return false;
+    if (p.publishUntil && Date.parse(p.publishUntil) <= now) return false;
+    return true;
+}
+
+/**
+ * Quantity already promised per product and date: Map "productId|YYYY-MM-DD" -> quantity
+ * (cancelled orders and enquiries without a date don't count)
+ */
+function bookedQuantities(orders) {
+    const booked = new Map();
+    for (const o of orders || []) {
+        if (o.status === "cancelled" || !o.requestedDate) continue;
+        const key = `${o.productId}|${o.requestedDate}`;
+        booked.set(key, (booked.get(key) || 0) + (Number(o.quantity) || 1));
+    }
+    return booked;
+}
+
+/**
+ * Why `quantity` of `p` cannot be ordered for `date` — { status, message } — or null when it can.
+ * 400 for a date the rules never allow, 409 when the day is (nearly) full.
+ */
+function dateProblem(p, date, quantity, booked, now = Date.now()) {
+    const earliest = localDate(now + (p.leadTimeHours || 0) * 60 * 60 * 1000);
+    if (date < earliest) {
+        return { status: 400, message: p.leadTimeHours ? `This needs ${p.leadTimeHours} hours' notice — the earliest date is ${earliest}` : "Date cannot be in the past" };
+    }
+    if (p.weekdays && p.weekdays.length && !p.weekdays.includes(weekdayOf(date))) {
+        return { status: 400, message: "Not made on that day of the week" };
+    }
+    if (p.publishUntil && date > localDate(Date.parse(p.publishUntil))) {
+        return { status: 400, message: `Only available until ${localDate(Date.parse(p.publishUntil))}` };
+    }
+    if (p.dailyCapacity) {
+        const left = p.dailyCapacity - (booked.get(`${p.id}|${date}`) || 0);
+        if (left < quantity) return { status: 409, message: left > 0 ? `Only ${left} left for ${date}` : `Fully booked on ${date}` };
+    }
+    return null;
+}
+
+/**
+ * First date `p` can be ordered for, or null (sold out, unpublished, or nothing free soon)
+ */
+function earliestDate(p, booked, now = Date.now()) {
+    if (p.availability === "sold-out" || !isPublished(p, now)) return null;
+    let date = localDate(now + (p.leadTimeHours || 0) * 60 * 60 * 1000);
+    for (let i = 0; i < SEARCH_DAYS; i++, date = addDays(date, 1)) {
+        if (!dateProblem(p, date, 1, booked, now)) return date;
+    }
+    return null;
+}
+
+/**
+ * The public view: { availability, published, orderable, earliestDate, leadTimeHours, dailyCapacity, weekdays }
+ */
+function describe(p, booked, now = Date.now()) {
+    const earliest = earliestDate(p, booked, now);
+    return {
+        availability: p.availability || "available",
+        published: isPublished(p, now),
+        orderable: earliest !== null,
+        earliestDate: earliest,
+        leadTimeHours: p.leadTimeHours || 0,
+        dailyCapacity: p.dailyCapacity || null,
+        weekdays: p.weekdays || null
+    };
+}
+
+/**
+ * How many more of `p` can still be ordered for `date` given `orders`, or null when there is no daily limit
+ */
+function remainingOn(p, date, orders) {
+    if (!p.dailyCapacity || !date) return null;
+    return Math.max(0, p.dailyCapacity - (bookedQuantities(orders).get(`${p.id}|${date}`) || 0));
+}
+
+/**
+ * Throws (status 400 / 409, .field set for date problems) unless the enquiry `values` ({ requestedDate, quantity }) can be taken.
+ * Pass the current orders list so capacity is counted under the orders file lock.
+ */
+function assertOrderable(p, values, orders, now = Date.now()) {
+    const fail = (status, message, field) => { throw Object.assign(new Error(message), { status, field }); };
+    if (!isPublished(p, now)) fail(400, "This product is not available right now");
+    if (p.availability === "sold-out") fail(409, "Sorry, this product is sold out");
+    if (!values.requestedDate) return;
+    const problem = dateProblem(p, values.requestedDate, values.quantity || 1, bookedQuantities(orders), now);
+    if (problem) fail(problem.status, problem.message, "requestedDate");
+}
+
+module.exports = {
+    STATUSES,
+    FIELDS,
+    TIMEZONE,
+    localDate,
+    validateFields,
+    isPublished,
+    bookedQuantities,
+    earliestDate,
+    describe,
+    remainingOn,
+    assertOrderable
+};
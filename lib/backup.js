@@ -0,0 +1,484 @@
+/**
+ * lib/backup.js
+ *
+ * Full-site backup (export) and restore for the owner.
+ *
+ * Archive: a gzipped tar (.tar.gz) with
+ *   manifest.json            { format, version, createdAt, createdBy, data, media, files: [{ path, size, sha256 }] }
+ *   data/<name>.json         each JSON store (products, reviews, orders ...)
+ *   <media>/<path>           each media folder (images/..., uploads/...)
+ *
+ * Restore is two steps:
+ *   stage(archive)  unpacks into a private temp folder, checks every path, size and sha256
+ *                   against the manifest, validates the data files and returns a diff (dry run)
+ *   apply(token)    swaps the staged media folders in and writes the data stores; if any
+ *                   step fails everything done so far is put back
+ *
+ * The tar reader/writer below handles plain ustar files only — exactly what export() writes.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { Readable, Writable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { httpError } = require("./validate");
+
+const FORMAT = "dorys-backup";
+const VERSION = 1;
+const MEDIA_FILE = /\.(jpg|jpeg|png|gif|webp|avif|svg|heic|heif)$/i;
+const STAGE_TTL_MS = 60 * 60 * 1000;
+const BLOCK = 512;
+
+function badArchive(message) {
+    return httpError(400, `Invalid backup: ${message}`);
+}
+
+function sha256(buf) {
+    return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const h = crypto.createHash("sha256");
+        fs.createReadStream(file).on("error", reject).on("data", c => h.update(c)).on("end", () => resolve(h.digest("hex")));
+    });
+}
+
+// every media file under dir: [{ rel, file }] (rel uses "/")
+async function listMedia(dir, base = dir) {
+    const out = [];
+    let items;
+    try { items = await fsp.readdir(dir, { withFileTypes: true }); } catch { return out; }
+    for (const it of items) {
+        const full = path.join(dir, it.name);
+        if (it.isDirectory()) out.push(...await listMedia(full, base));
+        else if (it.isFile() && MEDIA_FILE.test(it.name)) out.push({ rel: path.relative(base, full).split(path.sep).join("/"), file: full });
+    }
+    return out;
+}
+
+// rename, or copy + delete when src and dest are on different disks
+async function move(src, dest) {
+    try {
+        await fsp.rename(src, dest);
+    } catch (err) {
+        if (err.code !== "EXDEV") throw err;
+        await fsp.cp(src, dest, { recursive: true });
+        await fsp.rm(src, { recursive: true, force: true });
+    }
+}
+
+/* ----------------- TAR (ustar) ----------------- */
+function writeOctal(buf, value, offset, length) {
+    buf.write(value.toString(8).padStart(length - 1, "0") + "\0", offset, length, "ascii");
+}
+
+function tarHeader(name, size, mtime) {
+    const buf = Buffer.alloc(BLOCK, 0);
+    let prefix = "";
+    if (Buffer.byteLength(name) > 100) {
+        // long paths are split into prefix (155) + name (100) at a "/"
+        const cut = name.lastIndexOf("/", 155);
+        if (cut <= 0 || Buffer.byteLength(name.slice(cut + 1)) > 100) throw new Error(`Path too long for backup: ${name}`);
+        prefix = name.slice(0, cut);
+        name = name.slice(cut + 1);
+    }
+    buf.write(name, 0, 100, "utf8");
+    writeOctal(buf, 0o644, 100, 8);
+    writeOctal(buf, 0, 108, 8);
+    writeOctal(buf, 0, 116, 8);
+    writeOctal(buf, size, 124, 12);
+    writeOctal(buf, Math.floor(mtime / 1000), 136, 12);
+    buf.fill(0x20, 148, 156); // checksum is computed with its own field as spaces
+    buf.write("0", 156, 1, "ascii");
+    buf.write("ustar\0", 257, 6, "ascii");
+    buf.write("00", 263, 2, "ascii");
+    buf.write(prefix, 345, 155, "utf8");
+    let sum = 0;
+    for (const b of buf) sum += b;
+    buf.write(sum.toString(8).padStart(6, "0") + "\0 ", 148, 8, "ascii");
+    return buf;
+}
+
+function parseHeader(buf) {
+    if (buf.every(b => b === 0)) return null; // end-of-archive block
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : buf[i];
+    const stored = parseInt(buf.toString("ascii", 148, 156).replace(/\0.*$/, "").trim(), 8);
+    if (stored !== sum) throw badArchive("corrupt tar header");
+    const str = (start, len) => buf.toString("utf8", start, start + len).replace(/\0.*$/s, "");
+    const name = str(0, 100);
+    const prefix = buf.toString("ascii", 257, 262) === "ustar" ? str(345, 155) : "";
+    return {
+        path: prefix ? `${prefix}/${name}` : name,
+        size: parseInt(str(124, 12).trim() || "0", 8),
+        type: String.fromCharCode(buf[156] || 0x30)
+    };
+}
+
+// async iterable of tar blocks for [{ path, size, mtime, data? | file? }]
+async function* tarStream(entries) {
+    for (const e of entries) {
+        yield tarHeader(e.path, e.size, e.mtime);
+        let written = 0;
+        if (e.data) {
+            yield e.data;
+            written = e.data.length;
+        } else if (e.size > 0) {
+            for await (const chunk of fs.createReadStream(e.file, { start: 0, end: e.size - 1 })) {
+                written += chunk.length;
+                yield chunk;
+            }
+        }
+        // a file that shrank since it was hashed: keep the archive well-formed, restore will flag it
+        if (written < e.size) yield Buffer.alloc(e.size - written, 0);
+        if (e.size % BLOCK) yield Buffer.alloc(BLOCK - (e.size % BLOCK), 0);
+    }
+    yield Buffer.alloc(BLOCK * 2, 0);
+}
+
+/**
+ * Writable that unpacks a tar stream. onEntry({ path, size }) returns the absolute file to
+ * write to (or throws to reject the archive); onDone({ path, size, sha256 }) after each file.
+ */
+class TarExtractor extends Writable {
+    constructor({ onEntry, onDone, maxBytes }) {
+        super();
+        this.onEntry = onEntry;
+        this.onDone = onDone;
+        this.maxBytes = maxBytes;
+        this.total = 0;
+        this.pending = Buffer.alloc(0);
+        this.entry = null;  // { path, size, remaining, pad, out, hash }
+        this.ended = false;
+    }
+
+    async _write(chunk, enc, cb) {
+        try {
+            this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+            await this.consume();
+            cb();
+        } catch (err) {
+            if (this.entry && this.entry.out) this.entry.out.destroy();
+            cb(err);
+        }
+    }
+
+    _final(cb) {
+        if (this.entry || !this.ended) return cb(badArchive("archive is truncated"));
+        cb();
+    }
+
+    async consume() {
+        while (this.pending.length) {
+            if (this.ended) { this.pending = Buffer.alloc(0); return; }
+            if (!this.entry) {
+                if (this.pending.length < BLOCK) return;
+                const header = parseHeader(this.pending.subarray(0, BLOCK));
+                this.pending = this.pending.subarray(BLOCK);
+                if (!header) { this.ended = true; continue; }
+                if (header.type === "5") continue; // directory — created as needed
+                if (header.type !== "0") throw badArchive(`unsupported entry type in ${header.path}`);
+                this.total += header.size;
+                if (this.total > this.maxBytes) throw badArchive("archive is larger than allowed");
+                const target = await this.onEntry(header);
+                await fsp.mkdir(path.dirname(target), { recursive: true });
+                this.entry = {
+                    ...header,
+                    remaining: header.size,
+                    pad: (BLOCK - (header.size % BLOCK)) % BLOCK,
+                    out: fs.createWriteStream(target),
+                    hash: crypto.createHash("sha256")
+                };
+                if (header.size === 0) await this.finishEntry();
+                continue;
+            }
+            const e = this.entry;
+            if (e.remaining > 0) {
+                const part = this.pending.subarray(0, Math.min(e.remaining, this.pending.length));
+                this.pending = this.pending.subarray(part.length);
+                e.remaining -= part.length;
+                e.hash.update(part);
+                if (!e.out.write(part)) await new Promise(r => e.out.once("drain", r));
+                if (e.remaining === 0) await this.finishEntry();
+                continue;
+            }
+            if (this.pending.length < e.pad) return;
+            this.pending = this.pending.subarray(e.pad);
+            this.entry = null;
+        }
+    }
+
+    async finishEntry() {
+        const e = this.entry;
+        await new Promise((resolve, reject) => e.out.end(err => (err ? reject(err) : resolve())));
+        await this.onDone({ path: e.path, size: e.size, sha256: e.hash.digest("hex") });
+        if (e.pad === 0) this.entry = null;
+        else e.out = null;
+    }
+}
+
+/* ----------------- DIFFS ----------------- */
+// id -> record for an array of records or a { key: [records] } map (reviews)
+function recordsById(value) {
+    const out = new Map();
+    if (Array.isArray(value)) {
+        for (const r of value) out.set(String(r.id), r);
+    } else if (value && typeof value === "object") {
+        for (const [key, list] of Object.entries(value)) for (const r of list || []) out.set(`${key}/${r.id}`, r);
+    }
+    return out;
+}
+
+function label(r, id) {
+    return r.name || r.ref || r.author || id;
+}
+
+function diffRecords(current, next) {
+    const a = recordsById(current);
+    const b = recordsById(next);
+    const d = { added: [], removed: [], changed: [], unchanged: 0 };
+    for (const [id, r] of b) {
+        if (!a.has(id)) d.added.push(label(r, id));
+        else if (JSON.stringify(a.get(id)) !== JSON.stringify(r)) d.changed.push(label(r, id));
+        else d.unchanged++;
+    }
+    for (const [id, r] of a) if (!b.has(id)) d.removed.push(label(r, id));
+    return d;
+}
+
+async function diffMedia(dir, stagedFiles) {
+    const current = new Map();
+    for (const f of await listMedia(dir)) current.set(f.rel, await hashFile(f.file));
+    const d = { added: [], removed: [], changed: [], unchanged: 0 };
+    for (const [rel, sha] of stagedFiles) {
+        if (!current.has(rel)) d.added.push(rel);
+        else if (current.get(rel) !== sha) d.changed.push(rel);
+        else d.unchanged++;
+    }
+    for (const rel of current.keys()) if (!stagedFiles.has(rel)) d.removed.push(rel);
+    return d;
+}
+
+/* ----------------- BACKUPS ----------------- */
+/**
+ * createBackups({ dataFiles, mediaDirs, tmpDir, maxBytes })
+ *  - dataFiles [{ name, store }]  JSON stores (lib/store.js) to include
+ *  - mediaDirs [{ name, dir }]    folders of images to include
+ *  - tmpDir                       where restores are staged
+ *  - maxBytes                     largest unpacked archive accepted
+ */
+function createBackups({ dataFiles, mediaDirs, tmpDir, maxBytes }) {
+    const staged = new Map(); // token -> { dir, manifest, values, media, diff, createdAt }
+    let applying = false;
+
+    /**
+     * Stream a .tar.gz of everything to `out` (e.g. the response). `onStart` runs once everything
+     * has been read, right before the first byte is written (set download headers there).
+     */
+    async function exportTo(out, { createdBy, onStart } = {}) {
+        const now = Date.now();
+        const entries = [];
+        for (const d of dataFiles) {
+            const data = Buffer.from(JSON.stringify(await d.store.read(), null, 2), "utf8");
+            entries.push({ path: `data/${d.name}.json`, data, size: data.length, mtime: now, sha256: sha256(data) });
+        }
+        for (const m of mediaDirs) {
+            for (const f of await listMedia(m.dir)) {
+                const s = await fsp.stat(f.file);
+                entries.push({ path: `${m.name}/${f.rel}`, file: f.file, size: s.size, mtime: s.mtimeMs, sha256: await hashFile(f.file) });
+            }
+        }
+        const manifest = {
+            format: FORMAT,
+            version: VERSION,
+            createdAt: new Date(now).toISOString(),
+            createdBy: createdBy || null,
+            data: dataFiles.map(d => d.name),
+            media: mediaDirs.map(m => m.name),
+            files: entries.map(e => ({ path: e.path, size: e.size, sha256: e.sha256 }))
+        };
+        const mbuf = Buffer.from(JSON.stringify(manifest, null, 2), "utf8");
+        entries.unshift({ path: "manifest.json", data: mbuf, size: mbuf.length, mtime: now });
+        if (onStart) onStart();
+        await pipeline(Readable.from(tarStream(entries)), zlib.createGzip(), out);
+        return manifest;
+    }
+
+    // archive path -> path inside the staging folder, or throw for anything unexpected
+    function stagedPathFor(dir, entryPath) {
+        const p = path.posix.normalize(entryPath);
+        if (p.startsWith("/") || p.startsWith("../") || p.includes("/../") || p.includes("\\")) throw badArchive(`unsafe path ${entryPath}`);
+        const [top, ...rest] = p.split("/");
+        if (p === "manifest.json") return path.join(dir, "manifest.json");
+        if (top === "data" && rest.length === 1 && dataFiles.some(d => `${d.name}.json` === rest[0])) return path.join(dir, p);
+        if (mediaDirs.some(m => m.name === top) && rest.length && MEDIA_FILE.test(p)) return path.join(dir, ...p.split("/"));
+        throw badArchive(`unexpected file ${entryPath}`);
+    }
+
+    /**
+     * Unpack + verify an uploaded archive. Nothing live is touched.
+     * Resolves with { token, manifest: { createdAt, createdBy, files }, diff }.
+     */
+    async function stage(archiveFile) {
+        const token = crypto.randomBytes(12).toString("hex");
+        const dir = path.join(tmpDir, `restore-${token}`);
+        await fsp.mkdir(dir, { recursive: true });
+        try {
+            const seen = new Map();
+            try {
+                await pipeline(fs.createReadStream(archiveFile), zlib.createGunzip(), new TarExtractor({
+                    maxBytes,
+                    onEntry: h => {
+                        if (seen.has(h.path)) throw badArchive(`duplicate entry ${h.path}`);
+                        return stagedPathFor(dir, h.path);
+                    },
+                    onDone: e => { seen.set(e.path, e); }
+                }));
+            } catch (err) {
+                if (err.status) throw err;
+                if (err.code === "Z_DATA_ERROR") throw badArchive("not a .tar.gz file");
+                if (err.code === "Z_BUF_ERROR") throw badArchive("archive is truncated");
+                throw err;
+            }
+
+            let manifest;
+            try {
+                manifest = JSON.parse(await fsp.readFile(path.join(dir, "manifest.json"), "utf8"));
+            } catch {
+                throw badArchive("manifest.json missing or unreadable");
+            }
+            if (manifest.format !== FORMAT) throw badArchive("not a Dory's Bakehouse backup");
+            if (manifest.version !== VERSION) throw badArchive(`unsupported backup version ${manifest.version}`);
+            if (!Array.isArray(manifest.files) || !Array.isArray(manifest.data) || !Array.isArray(manifest.media)) throw badArchive("manifest is incomplete");
+
+            // every listed file present and intact, nothing unlisted
+            const listed = new Set();
+            for (const f of manifest.files) {
+                const got = seen.get(f.path);
+                if (!got) throw badArchive(`${f.path} is listed but missing`);
+                if (got.size !== f.size || got.sha256 !== f.sha256) throw badArchive(`${f.path} does not match its checksum`);
+                listed.add(f.path);
+            }
+            for (const p of seen.keys()) if (p !== "manifest.json" && !listed.has(p)) throw badArchive(`${p} is not in the manifest`);
+
+            // data files: parse + shape check; stores missing from the backup are left alone
+            const values = {};
+            const diff = { data: {}, media: {} };
+            for (const d of dataFiles) {
+                if (!manifest.data.includes(d.name)) { diff.data[d.name] = null; continue; }
+                let value;
+                try {
+                    value = JSON.parse(await fsp.readFile(path.join(dir, "data", `${d.name}.json`), "utf8"));
+                } catch {
+                    throw badArchive(`data/${d.name}.json is missing or not valid JSON`);
+                }
+                const problem = d.store.check(value);
+                if (problem) throw badArchive(`data/${d.name}.json: ${problem}`);
+                values[d.name] = value;
+                diff.data[d.name] = diffRecords(await d.store.read(), value);
+            }
+
+            const media = [];
+            for (const m of mediaDirs) {
+                if (!manifest.media.includes(m.name)) { diff.media[m.name] = null; continue; }
+                await fsp.mkdir(path.join(dir, m.name), { recursive: true }); // an empty folder is a valid backup too
+                const files = new Map(manifest.files
+                    .filter(f => f.path.startsWith(m.name + "/"))
+                    .map(f => [f.path.slice(m.name.length + 1), f.sha256]));
+                diff.media[m.name] = await diffMedia(m.dir, files);
+                media.push(m.name);
+            }
+
+            staged.set(token, { dir, manifest, values, media, diff, createdAt: Date.now() });
+            return {
+                token,
+                manifest: { createdAt: manifest.createdAt, createdBy: manifest.createdBy, files: manifest.files.length },
+                diff
+            };
+        } catch (err) {
+            await fsp.rm(dir, { recursive: true, force: true }).catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * Make the staged backup live. Media folders are swapped in whole, then each data store
+     * is written (with its usual rolling backup). Any failure puts everything back.
+     */
+    async function apply(token) {
+        const st = staged.get(token);
+        if (!st) throw httpError(404, "Restore not found or expired — upload the backup again");
+        if (applying) throw httpError(409, "Another restore is being applied");
+        applying = true;
+        staged.delete(token);
+
+        const previousDir = path.join(st.dir, "previous");
+        const before = {};
+        const swapped = [];
+        const written = [];
+        try {
+            for (const d of dataFiles) if (d.name in st.values) before[d.name] = await d.store.read();
+            await fsp.mkdir(previousDir, { recursive: true });
+            for (const name of st.media) {
+                const live = mediaDirs.find(m => m.name === name).dir;
+                const prev = path.join(previousDir, name);
+                const hadLive = fs.existsSync(live);
+                if (hadLive) await move(live, prev);
+                swapped.push({ live, prev, hadLive, staged: path.join(st.dir, name) });
+                await move(path.join(st.dir, name), live);
+            }
+            for (const d of dataFiles) {
+                if (!(d.name in st.values)) continue;
+                await d.store.write(st.values[d.name]);
+                written.push(d);
+            }
+        } catch (err) {
+            console.error("restore failed, rolling back", err);
+            for (const d of written) await d.store.write(before[d.name]).catch(e => console.error("rollback error", d.name, e));
+            for (const s of swapped.reverse()) {
+                try {
+                    if (fs.existsSync(s.live) && fs.existsSync(s.prev)) await fsp.rm(s.live, { recursive: true, force: true });
+                    if (s.hadLive && fs.existsSync(s.prev)) await move(s.prev, s.live);
+                } catch (e) {
+                    console.error("rollback error", s.live, e);
+                }
+            }
+            throw Object.assign(new Error("Restore failed — nothing was changed"), { status: 500, cause: err });
+        } finally {
+            applying = false;
+            fsp.rm(st.dir, { recursive: true, force: true }).catch(() => {});
+        }
+        return { applied: true, diff: st.diff, manifest: { createdAt: st.manifest.createdAt, createdBy: st.manifest.createdBy } };
+    }
+
+    async function discard(token) {
+        const st = staged.get(token);
+        if (!st) return false;
+        staged.delete(token);
+        await fsp.rm(st.dir, { recursive: true, force: true }).catch(() => {});
+        return true;
+    }
+
+    // staging folders left by a previous run can never be applied — the tokens lived in memory
+    fsp.readdir(tmpDir).then(names => Promise.all(names
+        .filter(n => n.startsWith("restore-"))
+        .map(n => fsp.rm(path.join(tmpDir, n), { recursive: true, force: true }))
+    )).catch(() => {});
+
+    // staged restores nobody applied are dropped after an hour
+    setInterval(() => {
+        for (const [token, st] of staged) if (Date.now() - st.createdAt > STAGE_TTL_MS) discard(token);
+    }, 10 * 60 * 1000).unref();
+
+    return { exportTo, stage, apply, discard };
+}
+
+module.exports = {
+    FORMAT,
+    VERSION,
+    createBackups
+};
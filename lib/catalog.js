@@ -0,0 +1,201 @@
+/**
+ * lib/catalog.js
+ *
+ * Query helpers for GET /products/list and GET /products/categories:
+ * text search, category / collection / price filters, sorting and page or cursor pagination.
+ * Prices filter and sort on what the customer pays (`effectivePrice` when a discount is live).
+ * Also the URL slugs of product pages (/product/<slug>).
+ */
+
+const { httpError } = require("./validate");
+
+const SORTS = {
+    // pinned products (lib/promotions.js) in their order, then newest
+    featured: (a, b) => nullsLast(a.featuredRank ?? null, b.featuredRank ?? null, 1) || SORTS.newest(a, b),
+    newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+    "price-asc": (a, b) => nullsLast(priceOf(a), priceOf(b), 1),
+    "price-desc": (a, b) => nullsLast(priceOf(a), priceOf(b), -1),
+    name: (a, b) => String(a.name || "").localeCompare(String(b.name || ""), "en", { sensitivity: "base" }),
+    // best rated first; more reviews wins a tie
+    rating: (a, b) => ((b.rating && b.rating.average) || 0) - ((a.rating && a.rating.average) || 0)
+        || ((b.rating && b.rating.count) || 0) - ((a.rating && a.rating.count) || 0)
+};
+const DEFAULT_SORT = "featured";
+const MAX_LIMIT = 100;
+
+function priceOf(p) {
+    return p.effectivePrice !== undefined ? p.effectivePrice : p.priceValue;
+}
+
+// products without a price always sort after priced ones
+function nullsLast(a, b, dir) {
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return (a - b) * dir;
+}
+
+/**
+ * "599", "₹ 1,200", "450/-", "599.50" -> number; "" / "on request" -> null
+ */
+function parsePrice(price) {
+    const m = String(price ?? "").replace(/,/g, "").match(/\d+(\.\d+)?/);
+    return m ? Number(m[0]) : null;
+}
+
+function encodeCursor(p) {
+    return Buffer.from(JSON.stringify({ id: p.id })).toString("base64url");
+}
+function decodeCursor(cursor) {
+    try {
+        const { id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (typeof id !== "string") throw new Error();
+        return id;
+    } catch {
+        throw httpError(400, "Invalid cursor");
+    }
+}
+
+/**
+ * Parse and check the query-string options. Throws (status 400) on bad input.
+ */
+function parseQuery(q) {
+    const opts = {
+        text: String(q.q || "").trim().toLowerCase(),
+        category: String(q.category || "").trim(),
+        collection: String(q.collection || "").trim().toLowerCase(),
+        minPrice: null,
+        maxPrice: null,
+        sort: String(q.sort || DEFAULT_SORT),
+        limit: null,
+        page: null,
+        cursor: null
+    };
+    for (const key of ["minPrice", "maxPrice"]) {
+        if (q[key] === undefined || q[key] === "") continue;
+        const n = Number(q[key]);
+        if (!Number.isFinite(n) || n < 0) throw httpError(400, `${key} must be a non-negative number`);
+        opts[key] = n;
+    }
+    if (opts.minPrice !== null && opts.maxPrice !== null && opts.minPrice > opts.maxPrice) {
+        throw httpError(400, "minPrice cannot be greater than maxPrice");
+    }
+    if (!SORTS[opts.sort]) throw httpError(400, `sort must be one of: ${Object.keys(SORTS).join(", ")}`);
+
+    if (q.limit !== undefined || q.page !== undefined || q.cursor !== undefined) {
+        const limit = q.limit === undefined ? 20 : Number(q.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw httpError(400, `limit must be 1-${MAX_LIMIT}`);
+        opts.limit = limit;
+        if (q.cursor !== undefined && q.page !== undefined) throw httpError(400, "Use either page or cursor, not both");
+        if (q.cursor !== undefined) opts.cursor = decodeCursor(q.cursor);
+        else {
+            const page = q.page === undefined ? 1 : Number(q.page);
+            if (!Number.isInteger(page) || page < 1) throw httpError(400, "page must be a positive whole number");
+            opts.page = page;
+        }
+    }
+    return opts;
+}
+
+function matches(p, opts) {
+    if (opts.category && String(p.category || "").toLowerCase() !== opts.category.toLowerCase()) return false;
+    if (opts.collection && !(p.collections || []).includes(opts.collection)) return false;
+    const price = priceOf(p);
+    if (opts.minPrice !== null && (price === null || price < opts.minPrice)) return false;
+    if (opts.maxPrice !== null && (price === null || price > opts.maxPrice)) return false;
+    if (opts.text) {
+        const hay = `${p.name || ""} ${p.description || ""}`.toLowerCase();
+        if (!opts.text.split(/\s+/).every(word => hay.includes(word))) return false;
+    }
+    return true;
+}
+
+/**
+ * Filter + sort + paginate products (each already carrying `priceValue`, and `effectivePrice`,
+ * `featuredRank` and `collections` from lib/promotions.js describe()).
+ * Without limit/page/cursor: { items } with everything that matched.
+ * With them: { items, total, limit, page?, pages?, nextCursor }.
+ */
+function queryProducts(products, opts) {
+    const cmp = SORTS[opts.sort];
+    // tie-break on id so pages / cursors are stable
+    const sorted = products.filter(p => matches(p, opts))
+        .sort((a, b) => cmp(a, b) || String(a.id).localeCompare(String(b.id)));
+
+    if (opts.limit === null) return { items: sorted };
+
+    const total = sorted.length;
+    let start = 0;
+    if (opts.cursor !== null) {
+        const idx = sorted.findIndex(p => p.id === opts.cursor);
+        if (idx === -1) throw httpError(400, "Cursor no longer matches any product; start again without it");
+        start = idx + 1;
+    } else {
+        start = (opts.page - 1) * opts.limit;
+    }
+    const items = sorted.slice(start, start + opts.limit);
+    const hasMore = start + opts.limit < total;
+    const out = { items, total, limit: opts.limit, nextCursor: hasMore && items.length ? encodeCursor(items[items.length - 1]) : null };
+    if (opts.page !== null) {
+        out.page = opts.page;
+        out.pages = Math.max(1, Math.ceil(total / opts.limit));
+    }
+    return out;
+}
+
+/**
+ * Categories in use: [{ category, count }] — most products first, then by name
+ */
+function categoryCounts(products) {
+    const counts = new Map();
+    for (const p of products) {
+        const c = String(p.category || "Uncategorized");
+        counts.set(c, (counts.get(c) || 0) + 1);
+    }
+    return Array.from(counts, ([category, count]) => ({ category, count }))
+        .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+}
+
+/* ----------------- SLUGS ----------------- */
+/**
+ * "Chocolate Truffle Cake (1 kg)" -> "chocolate-truffle-cake-1-kg"
+ */
+function slugify(text) {
+    return String(text || "")
+        .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 80)
+        .replace(/-+$/, "") || "product";
+}
+
+/**
+ * A slug for `name` no other product uses (current or former slugs): "cake", "cake-2", ...
+ * `exceptId` is the product being renamed, whose own slugs don't count as taken.
+ */
+function uniqueSlug(name, products, exceptId) {
+    const taken = new Set();
+    for (const p of products) {
+        if (p.id === exceptId) continue;
+        if (p.slug) taken.add(p.slug);
+        for (const old of p.oldSlugs || []) taken.add(old);
+    }
+    const base = slugify(name);
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+}
+
+module.exports = {
+    SORTS,
+    MAX_LIMIT,
+    parsePrice,
+    slugify,
+    uniqueSlug,
+    parseQuery,
+    queryProducts,
+    categoryCounts
+};
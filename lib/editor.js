@@ -0,0 +1,349 @@
+/**
+ * lib/editor.js
+ *
+ * Non-destructive edits for images under public/images (gallery and product images):
+ * rotate, crop, focal point and the logo watermark.
+ *
+ * The first edit copies the image as it was to data/originals/<rel> (outside public, so the
+ * un-watermarked file is never served). Every edit after that re-renders public/images/<rel>
+ * from the original and the saved recipe, so edits never stack up quality loss, and revert()
+ * puts the original back byte for byte. Recipes live in data/image-edits.json:
+ *
+ *   { id: "<rel>", file: "<rel>", rotate: 0 | 90 | 180 | 270,
+ *     crop: { x, y, width, height } | null,   // fractions (0-1) of the rotated original
+ *     focal: { x, y } | null,                 // fractions of the edited image
+ *     watermark: bool, updatedAt, updatedBy }
+ *
+ * The image keeps its URL, so products using it need no change. A focal point alone does not
+ * re-render anything: describeVariants() (lib/images.js) reports it for CSS object-position.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const sharp = require("sharp");
+const store = require("./store");
+const images = require("./images");
+const media = require("./media");
+const { httpError } = require("./validate");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const IMAGES_DIR = path.join(ROOT_DIR, "public", "images");
+const ORIGINALS_DIR = path.join(ROOT_DIR, "data", "originals");
+const EDITS_FILE = path.join(ROOT_DIR, "data", "image-edits.json");
+const LOGO_FILE = path.join(ROOT_DIR, "public", "logo", "dorys.PNG");
+
+// formats we can re-encode without losing anything the original had (gif may be animated)
+const EDITABLE = /\.(jpg|jpeg|png|webp)$/i;
+const ROTATIONS = [0, 90, 180, 270];
+const MIN_CROP_PX = 32;
+const PREVIEW_WIDTH = 1200;
+
+// watermark: white logo, bottom-right, WATERMARK_SIZE of the image width
+const WATERMARK_SIZE = 0.22;
+const WATERMARK_MARGIN = 0.03;
+const WATERMARK_OPACITY = 0.7;
+
+const editsStore = store.createJsonStore({
+    name: "image-edits",
+    file: EDITS_FILE,
+    empty: [],
+    validate: store.arrayOfRecords("file")
+});
+
+/* ----------------- PATHS ----------------- */
+// "/images/a.jpg" | "images/a.jpg" | "a.jpg" -> "a.jpg"; anything escaping public/images -> error
+function resolveImage(ref) {
+    const rel = String(ref || "").replace(/\\/g, "/").replace(/^\/+/, "").replace(/^images\//, "");
+    const full = path.resolve(IMAGES_DIR, rel);
+    if (!rel || !full.startsWith(IMAGES_DIR + path.sep)) throw httpError(400, "Invalid image path");
+    if (!EDITABLE.test(rel)) throw httpError(400, "Only JPEG, PNG and WebP images can be edited");
+    return { rel: path.relative(IMAGES_DIR, full).split(path.sep).join("/"), full, original: path.join(ORIGINALS_DIR, rel) };
+}
+
+async function exists(file) {
+    try { await fsp.access(file); return true; } catch { return false; }
+}
+
+/* ----------------- RECIPES ----------------- */
+let cache = null; // Map rel -> recipe, dropped by invalidate()
+
+async function recipes() {
+    if (!cache) cache = new Map((await editsStore.read()).map(r => [r.file, r]));
+    return cache;
+}
+
+// backups restore the store behind our back
+function invalidate() {
+    cache = null;
+}
+
+// files with a saved recipe, for marking them in the admin gallery
+async function editedFiles() {
+    return new Set((await recipes()).keys());
+}
+
+async function focalFor(rel) {
+    const r = (await recipes()).get(rel);
+    return r && r.focal ? r.focal : null;
+}
+
+const fraction = v => typeof v === "number" && Number.isFinite(v) && v >= 0 && v <= 1;
+
+/**
+ * Merge the requested `changes` ({ rotate?, crop?, focal?, watermark? }) into `current`.
+ * A new rotation without a new crop drops the old crop: its coordinates no longer fit.
+ */
+function mergeChanges(current, changes) {
+    const next = { ...current };
+    if (changes.rotate !== undefined) {
+        const angle = ((Number(changes.rotate) % 360) + 360) % 360;
+        if (!ROTATIONS.includes(angle)) throw httpError(400, "rotate must be 0, 90, 180 or 270");
+        if (angle !== current.rotate && changes.crop === undefined) next.crop = null;
+        next.rotate = angle;
+    }
+    if (changes.crop !== undefined) {
+        const c = changes.crop;
+        if (c === null) next.crop = null;
+        else {
+            if (!c || ![c.x, c.y, c.width, c.height].every(fraction) || !c.width || !c.height) {
+                throw httpError(400, "crop must be { x, y, width, height } as fractions from 0 to 1");
+            }
+            if (c.x + c.width > 1.0001 || c.y + c.height > 1.0001) throw httpError(400, "crop goes outside the image");
+            next.crop = { x: c.x, y: c.y, width: Math.min(c.width, 1 - c.x), height: Math.min(c.height, 1 - c.y) };
+        }
+    }
+    if (changes.focal !== undefined) {
+        const f = changes.focal;
+        if (f !== null && (!f || !fraction(f.x) || !fraction(f.y))) throw httpError(400, "focal must be { x, y } as fractions from 0 to 1");
+        next.focal = f && { x: f.x, y: f.y };
+    }
+    if (changes.watermark !== undefined) {
+        if (typeof changes.watermark !== "boolean") throw httpError(400, "watermark must be true or false");
+        next.watermark = changes.watermark;
+    }
+    return next;
+}
+
+/* ----------------- RENDER ----------------- */
+let logoMask = null; // trimmed logo as a greyscale alpha mask (dark ink -> opaque)
+
+async function watermarkFor(width) {
+    if (!logoMask) {
+        logoMask = await sharp(LOGO_FILE).trim({ threshold: 40 }).greyscale().negate().png().toBuffer();
+    }
+    const { data, info } = await sharp(logoMask)
+        .resize({ width: Math.max(40, Math.round(width * WATERMARK_SIZE)) })
+        // drop the faint background, then scale to the watermark opacity
+        .linear(WATERMARK_OPACITY * 1.25, -WATERMARK_OPACITY * 30)
+        .extractChannel(0)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return sharp({ create: { width: info.width, height: info.height, channels: 3, background: "#ffffff" } })
+        .joinChannel(data, { raw: { width: info.width, height: info.height, channels: 1 } })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+}
+
+function encode(pipeline, rel) {
+    const ext = path.extname(rel).toLowerCase();
+    if (ext === ".png") return pipeline.png();
+    if (ext === ".webp") return pipeline.webp({ quality: 85 });
+    return pipeline.jpeg({ quality: 85 });
+}
+
+// original rotated (EXIF first, then `angle`) as a lossless buffer + its size
+async function rotated(original, angle) {
+    const upright = await sharp(original).rotate().png().toBuffer();
+    return sharp(upright).rotate(angle).png().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Render the recipe from the original into public/images/<rel> (temp file + rename)
+ */
+async function render(paths, recipe) {
+    const { data, info } = await rotated(paths.original, recipe.rotate);
+    let pipeline = sharp(data);
+    let width = info.width;
+    let height = info.height;
+    if (recipe.crop) {
+        const area = {
+            left: Math.round(recipe.crop.x * info.width),
+            top: Math.round(recipe.crop.y * info.height),
+            width: Math.round(recipe.crop.width * info.width),
+            height: Math.round(recipe.crop.height * info.height)
+        };
+        area.width = Math.min(area.width, info.width - area.left);
+        area.height = Math.min(area.height, info.height - area.top);
+        if (area.width < MIN_CROP_PX || area.height < MIN_CROP_PX) throw httpError(400, `Crop must be at least ${MIN_CROP_PX}px each way`);
+        pipeline = pipeline.extract(area);
+        ({ width, height } = area);
+    }
+    if (recipe.watermark) {
+        const mark = await watermarkFor(width);
+        const margin = Math.round(width * WATERMARK_MARGIN);
+        pipeline = sharp(await pipeline.png().toBuffer()).composite([{
+            input: mark.data,
+            left: Math.max(0, width - mark.info.width - margin),
+            top: Math.max(0, height - mark.info.height - margin)
+        }]);
+    }
+    const tmp = paths.full + ".editing";
+    try {
+        await encode(pipeline, paths.rel).toFile(tmp);
+        await fsp.rename(tmp, paths.full);
+    } catch (err) {
+        await fsp.unlink(tmp).catch(() => {});
+        throw err;
+    }
+}
+
+/* ----------------- OPERATIONS ----------------- */
+const DEFAULTS = { rotate: 0, crop: null, focal: null, watermark: false };
+
+/**
+ * Editor view of an image: { file, url, edited, edits, width, height, original: { width, height } }
+ */
+async function describe(ref) {
+    const paths = resolveImage(ref);
+    if (!await exists(paths.full)) throw httpError(404, "Image not found");
+    const recipe = (await recipes()).get(paths.rel);
+    const current = await sharp(paths.full).metadata();
+    let original = null;
+    if (recipe && await exists(paths.original)) {
+        const m = await sharp(paths.original).rotate().metadata();
+        original = { width: m.width, height: m.height };
+    }
+    const { rotate, crop, focal, watermark } = { ...DEFAULTS, ...recipe };
+    return {
+        file: paths.rel,
+        url: media.toUrl(paths.rel),
+        edited: !!recipe,
+        edits: { rotate, crop, focal, watermark },
+        updatedAt: recipe ? recipe.updatedAt : null,
+        updatedBy: recipe ? recipe.updatedBy : null,
+        width: current.width,
+        height: current.height,
+        original: original || { width: current.width, height: current.height }
+    };
+}
+
+/**
+ * JPEG of the unedited image turned by `rotate` degrees, at most PREVIEW_WIDTH wide —
+ * what the crop box in the editor is drawn over.
+ */
+async function preview(ref, rotate = 0) {
+    const paths = resolveImage(ref);
+    const angle = ((Number(rotate) % 360) + 360) % 360;
+    if (!ROTATIONS.includes(angle)) throw httpError(400, "rotate must be 0, 90, 180 or 270");
+    const source = await exists(paths.original) ? paths.original : paths.full;
+    if (!await exists(source)) throw httpError(404, "Image not found");
+    const { data } = await rotated(source, angle);
+    return sharp(data).resize({ width: PREVIEW_WIDTH, withoutEnlargement: true }).jpeg({ quality: 80 }).toBuffer();
+}
+
+/**
+ * Apply `changes` ({ rotate?, crop?, focal?, watermark? }) on top of the saved recipe.
+ * Resolves with { before, after } recipes and the new describe() view under `image`.
+ */
+async function edit(ref, changes, by) {
+    const paths = resolveImage(ref);
+    if (!await exists(paths.full)) throw httpError(404, "Image not found");
+    const list = await recipes();
+    const before = list.get(paths.rel) || null;
+    const current = { ...DEFAULTS, ...before };
+    const next = mergeChanges(current, changes || {});
+    const pixelsChanged = ["rotate", "watermark"].some(k => next[k] !== current[k])
+        || JSON.stringify(next.crop) !== JSON.stringify(current.crop);
+
+    // keep the untouched file the first time the pixels change
+    let copied = false;
+    if (pixelsChanged && !await exists(paths.original)) {
+        await fsp.mkdir(path.dirname(paths.original), { recursive: true });
+        await fsp.copyFile(paths.full, paths.original);
+        copied = true;
+    }
+    try {
+        if (pixelsChanged) await render(paths, next);
+    } catch (err) {
+        if (copied) await fsp.unlink(paths.original).catch(() => {});
+        throw err;
+    }
+
+    const after = {
+        id: paths.rel,
+        file: paths.rel,
+        rotate: next.rotate,
+        crop: next.crop,
+        focal: next.focal,
+        watermark: next.watermark,
+        updatedAt: new Date().toISOString(),
+        updatedBy: by || null
+    };
+    await editsStore.update(all => {
+        const idx = all.findIndex(r => r.file === paths.rel);
+        if (idx === -1) all.push(after);
+        else all[idx] = after;
+    });
+    invalidate();
+    if (pixelsChanged) {
+        await images.tryGenerateVariants(paths.rel);
+        await media.tryRecord(paths.rel, "upload");
+    }
+    return { before, after, image: await describe(paths.rel) };
+}
+
+/**
+ * Put the original back and forget the recipe. Resolves with the recipe that was dropped.
+ */
+async function revert(ref) {
+    const paths = resolveImage(ref);
+    const before = (await recipes()).get(paths.rel);
+    if (!before) throw httpError(400, "This image has no edits");
+    if (await exists(paths.original)) {
+        await fsp.copyFile(paths.original, paths.full + ".editing");
+        await fsp.rename(paths.full + ".editing", paths.full);
+        await fsp.unlink(paths.original);
+    }
+    await editsStore.update(all => {
+        const idx = all.findIndex(r => r.file === paths.rel);
+        if (idx !== -1) all.splice(idx, 1);
+    });
+    invalidate();
+    await images.tryGenerateVariants(paths.rel);
+    await media.tryRecord(paths.rel, "upload");
+    return { before, image: await describe(paths.rel) };
+}
+
+/**
+ * The image itself was deleted: drop its original and recipe. Never throws.
+ */
+async function forget(ref) {
+    try {
+        const rel = String(ref || "").replace(/\\/g, "/").replace(/^\/+/, "").replace(/^images\//, "");
+        const original = path.resolve(ORIGINALS_DIR, rel);
+        if (!rel || !original.startsWith(ORIGINALS_DIR + path.sep)) return;
+        await fsp.unlink(original).catch(() => {});
+        if (!(await recipes()).has(rel)) return;
+        await editsStore.update(all => {
+            const idx = all.findIndex(r => r.file === rel);
+            if (idx !== -1) all.splice(idx, 1);
+        });
+        invalidate();
+    } catch (err) {
+        console.error("image edits cleanup error", ref, err.message);
+    }
+}
+
+module.exports = {
+    ORIGINALS_DIR,
+    editsStore,
+    invalidate,
+    editedFiles,
+    focalFor,
+    describe,
+    preview,
+    edit,
+    revert,
+    forget
+};
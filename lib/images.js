@@ -0,0 +1,207 @@
+/**
+ * lib/images.js
+ *
+ * Responsive image variants for gallery and product images.
+ *
+ * For an image public/images/<rel>.jpg we write
+ *   public/variants/<rel>/{thumb,card,full}.{avif,webp,jpg}
+ * plus a variants.json manifest recording the real widths (sharp never enlarges),
+ * so pages can build `srcset` without guessing. describeVariants() also reports the image's
+ * focal point (set in the image editor, lib/editor.js) for cards that crop it.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const sharp = require("sharp");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const IMAGES_DIR = path.join(PUBLIC_DIR, "images");
+const VARIANTS_DIR = path.join(PUBLIC_DIR, "variants");
+
+const SIZES = { thumb: 320, card: 640, full: 1600 };
+const FORMATS = {
+    avif: { ext: "avif", apply: s => s.avif({ quality: 50, effort: 2 }) },
+    webp: { ext: "webp", apply: s => s.webp({ quality: 75 }) },
+    jpeg: { ext: "jpg", apply: s => s.jpeg({ quality: 80, mozjpeg: true }) }
+};
+const MANIFEST = "variants.json";
+
+// sources we can rasterise into variants (svg/heic are left alone)
+const VARIANT_SOURCE = /\.(jpg|jpeg|png|gif|webp)$/i;
+
+/* ----------------- PATHS ----------------- */
+// "/images/products/a.jpg" | "images/products/a.jpg" | "products/a.jpg" -> "products/a.jpg"
+function toRel(imageRef) {
+    return String(imageRef || "").replace(/\\/g, "/").replace(/^\/+/, "").replace(/^images\//, "");
+}
+
+function variantDirFor(rel) {
+    const noExt = rel.slice(0, rel.length - path.extname(rel).length);
+    const dir = path.resolve(VARIANTS_DIR, noExt);
+    // never step outside VARIANTS_DIR, whatever the input
+    if (!dir.startsWith(VARIANTS_DIR + path.sep)) return null;
+    return dir;
+}
+
+function variantUrl(dir, file) {
+    return "/variants/" + path.relative(VARIANTS_DIR, path.join(dir, file)).split(path.sep).map(encodeURIComponent).join("/");
+}
+
+/* ----------------- GENERATE ----------------- */
+/**
+ * Write all size/format variants for one image and return its manifest.
+ * `imageRef` is the image's path relative to public/images (or its /images/... URL).
+ */
+async function generateVariants(imageRef) {
+    const rel = toRel(imageRef);
+    const src = path.join(IMAGES_DIR, rel);
+    const dir = variantDirFor(rel);
+    if (!dir) throw new Error("Invalid image path");
+    if (!VARIANT_SOURCE.test(rel)) throw new Error("Unsupported image type for variants");
+
+    const input = await fsp.readFile(src);
+    await fsp.mkdir(dir, { recursive: true });
+
+    const manifest = { source: "/images/" + rel, generatedAt: new Date().toISOString(), sizes: {} };
+    for (const [size, width] of Object.entries(SIZES)) {
+        const entry = { width: 0, height: 0 };
+        for (const [format, f] of Object.entries(FORMATS)) {
+            const file = `${size}.${f.ext}`;
+            const info = await f.apply(sharp(input).rotate().resize({ width, withoutEnlargement: true }))
+                .toFile(path.join(dir, file));
+            entry.width = info.width;
+            entry.height = info.height;
+            entry[format] = variantUrl(dir, file);
+        }
+        manifest.sizes[size] = entry;
+    }
+    await fsp.writeFile(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+// Same as generateVariants but never throws — uploads should still succeed without variants
+async function tryGenerateVariants(imageRef) {
+    try {
+        return await generateVariants(imageRef);
+    } catch (err) {
+        console.error("variants error", imageRef, err.message);
+        return null;
+    }
+}
+
+/* ----------------- FOCAL POINTS ----------------- */
+// (rel) => Promise<{ x, y } | null> — server.js points this at the image editor
+let focalSource = async () => null;
+
+function setFocalSource(fn) {
+    focalSource = fn;
+}
+
+/* ----------------- READ ----------------- */
+/**
+ * Variants for an image as exposed by the API, or null if none were generated yet:
+ * { thumb: { width, height, avif, webp, jpeg }, card: {...}, full: {...},
+ *   srcset: { avif, webp, jpeg }, focal: { x, y } (0-1 fractions) | null }
+ */
+async function describeVariants(imageRef) {
+    const dir = variantDirFor(toRel(imageRef));
+    if (!dir) return null;
+    let manifest;
+    try {
+        manifest = JSON.parse(await fsp.readFile(path.join(dir, MANIFEST), "utf8"));
+    } catch {
+        return null;
+    }
+    const out = { ...manifest.sizes, srcset: {}, focal: await focalSource(toRel(imageRef)).catch(() => null) };
+    for (const format of Object.keys(FORMATS)) {
+        // sizes can collapse to the same width for small originals — keep one entry per width
+        const seen = new Set();
+        out.srcset[format] = Object.values(manifest.sizes)
+            .filter(s => s[format] && !seen.has(s.width) && seen.add(s.width))
+            .map(s => `${s[format]} ${s.width}w`)
+            .join(", ");
+    }
+    return out;
+}
+
+async function hasFreshVariants(imageRef) {
+    const rel = toRel(imageRef);
+    const dir = variantDirFor(rel);
+    if (!dir) return false;
+    try {
+        const [m, s] = await Promise.all([
+            fsp.stat(path.join(dir, MANIFEST)),
+            fsp.stat(path.join(IMAGES_DIR, rel))
+        ]);
+        return m.mtimeMs >= s.mtimeMs;
+    } catch {
+        return false;
+    }
+}
+
+/* ----------------- REMOVE ----------------- */
+async function removeVariants(imageRef) {
+    const dir = variantDirFor(toRel(imageRef));
+    if (!dir) return;
+    await fsp.rm(dir, { recursive: true, force: true }).catch(()=>{});
+}
+
+/* ----------------- BACKFILL JOB ----------------- */
+// One backfill at a time; state is kept in memory and polled by the admin page.
+const backfill = {
+    running: false,
+    total: 0,
+    done: 0,
+    skipped: 0,
+    failed: [],
+    startedAt: null,
+    finishedAt: null
+};
+
+function backfillStatus() {
+    return { ...backfill, failed: backfill.failed.slice(0, 50) };
+}
+
+/**
+ * Generate variants for every image under public/images that lacks (fresh) variants.
+ * `files` is a list of paths relative to public/images. Runs one image at a time
+ * in the background; returns false if a backfill is already running.
+ */
+function startBackfill(files, { force = false } = {}) {
+    if (backfill.running) return false;
+    const todo = files.filter(f => VARIANT_SOURCE.test(f));
+    Object.assign(backfill, {
+        running: true, total: todo.length, done: 0, skipped: 0, failed: [],
+        startedAt: new Date().toISOString(), finishedAt: null
+    });
+    (async () => {
+        for (const rel of todo) {
+            try {
+                if (!force && await hasFreshVariants(rel)) backfill.skipped++;
+                else await generateVariants(rel);
+            } catch (err) {
+                backfill.failed.push({ file: rel, error: err.message });
+            }
+            backfill.done++;
+        }
+    })()
+        .catch(err => console.error("backfill error", err))
+        .finally(() => {
+            backfill.running = false;
+            backfill.finishedAt = new Date().toISOString();
+        });
+    return true;
+}
+
+module.exports = {
+    SIZES,
+    VARIANTS_DIR,
+    generateVariants,
+    tryGenerateVariants,
+    describeVariants,
+    setFocalSource,
+    removeVariants,
+    startBackfill,
+    backfillStatus
+};
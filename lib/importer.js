@@ -0,0 +1,359 @@
+/**
+ * lib/importer.js
+ *
+ * Catalog export and bulk product import.
+ *
+ * Export writes the live products as CSV (one row per product, COLUMNS) or JSON (the records).
+ * In CSV `weekdays` is "1,2,3" and `options` the option groups as JSON; cells starting with
+ * = + - @ get a leading ' so spreadsheets do not run them as formulas (import strips it again).
+ *
+ * Import takes the same CSV / JSON back, plus an optional ZIP of images, in two steps:
+ *   stage(dataFile, zipFile)  parses the rows and unpacks the ZIP's images into a private temp
+ *                             folder; nothing live is touched
+ *   get(token) / claim(token) the staged import, to preview / to apply (claim: one at a time)
+ * Rows are plain { column: value } objects. Checking them against the catalog is server.js's
+ * job (planImport), so the preview and the apply run the same checks.
+ *
+ * The ZIP reader below handles plain archives (stored or deflated entries) — no ZIP64, no
+ * encryption — which is what the usual "compress folder" tools write.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { httpError } = require("./validate");
+
+const COLUMNS = [
+    "id", "slug", "name", "description", "price", "category", "image",
+    "availability", "dailyCapacity", "leadTimeHours", "weekdays", "publishFrom", "publishUntil",
+    "options"
+];
+// exported for reference, never imported (slugs follow the name)
+const READ_ONLY = ["slug", "oldSlugs", "createdAt", "updatedAt", "imageVariants"];
+
+const MAX_ROWS = 1000;
+const MAX_DATA_BYTES = 5 * 1024 * 1024;
+const MAX_ZIP_IMAGES = 1000;
+const IMAGE_FILE = /\.(jpg|jpeg|png|gif|webp|avif|heic|heif)$/i;
+const STAGE_TTL_MS = 60 * 60 * 1000;
+
+function badImport(message) {
+    return httpError(400, message, { code: "INVALID_IMPORT" });
+}
+
+/* ----------------- CSV ----------------- */
+const FORMULA = /^[=+\-@]/;
+
+function csvCell(value) {
+    let text = value === undefined || value === null ? "" : String(value);
+    if (FORMULA.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows) {
+    return rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * RFC 4180 CSV -> [{ line, cells }]. Quoted cells may hold commas, quotes ("") and line breaks.
+ * Empty lines are skipped; `line` is where the row starts (1-based).
+ */
+function parseCsv(text) {
+    const rows = [];
+    let cells = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0] !== "") rows.push({ line: rowLine, cells });
+        cells = [];
+        cell = "";
+        rowLine = line;
+    };
+
+    for (; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else {
+                if (c === "\n") line++;
+                cell += c;
+            }
+        } else if (c === '"' && cell === "") quoted = true;
+        else if (c === ",") { cells.push(cell); cell = ""; }
+        else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") i++;
+            line++;
+            endRow();
+        } else cell += c;
+    }
+    if (quoted) throw badImport(`CSV: the quote opened on line ${rowLine} is never closed`);
+    if (cell !== "" || cells.length) endRow();
+    return rows;
+}
+
+// a cell as typed back: the formula guard removed
+function csvValue(text) {
+    return text.length > 1 && text[0] === "'" && FORMULA.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/* ----------------- EXPORT ----------------- */
+function exportValue(p, column) {
+    const value = p[column];
+    if (column === "weekdays") return Array.isArray(value) ? value.join(",") : "";
+    if (column === "options") return Array.isArray(value) && value.length ? JSON.stringify(value) : "";
+    return value;
+}
+
+/** The products as CSV text (header + one row each) */
+function toCsv(products) {
+    return formatCsv([COLUMNS, ...products.map(p => COLUMNS.map(c => exportValue(p, c)))]);
+}
+
+/* ----------------- PARSING ----------------- */
+const COLUMN_BY_NAME = new Map(COLUMNS.map(c => [c.toLowerCase(), c]));
+
+/**
+ * CSV or JSON text -> { rows: [{ line, values }], warnings }.
+ * JSON is an array of product objects (what the JSON export writes) or { products: [...] }.
+ */
+function parseRows(text, format) {
+    const warnings = [];
+    let rows;
+    if (format === "json") {
+        let data;
+        try { data = JSON.parse(text); } catch (err) { throw badImport(`JSON: ${err.message}`); }
+        const list = Array.isArray(data) ? data : data && Array.isArray(data.products) ? data.products : null;
+        if (!list) throw badImport("JSON: expected a list of products");
+        const ignored = new Set();
+        rows = list.map((item, i) => {
+            if (!item || typeof item !== "object" || Array.isArray(item)) throw badImport(`JSON: product ${i + 1} is not an object`);
+            const values = {};
+            for (const [key, value] of Object.entries(item)) {
+                if (COLUMNS.includes(key) && key !== "slug") values[key] = value;
+                else if (!READ_ONLY.includes(key)) ignored.add(key);
+            }
+            return { line: i + 1, values };
+        });
+        if (ignored.size) warnings.push(`Ignored fields: ${[...ignored].join(", ")}`);
+    } else {
+        const [header, ...body] = parseCsv(text);
+        if (!header) throw badImport("The file is empty");
+        const columns = header.cells.map(h => COLUMN_BY_NAME.get(h.trim().toLowerCase()) || null);
+        if (!columns.includes("name")) throw badImport("CSV: the first row must name the columns, including \"name\"");
+        const unknown = header.cells.filter((h, i) => !columns[i] && h.trim());
+        if (unknown.length) warnings.push(`Ignored columns: ${unknown.join(", ")}`);
+        const seen = new Set();
+        columns.forEach((c, i) => {
+            if (c && seen.has(c)) throw badImport(`CSV: column "${header.cells[i].trim()}" appears twice`);
+            seen.add(c);
+        });
+        rows = body.map(r => {
+            const values = {};
+            columns.forEach((c, i) => {
+                if (c && c !== "slug") values[c] = csvValue(r.cells[i] ?? "");
+            });
+            return { line: r.line, values };
+        });
+    }
+    if (!rows.length) throw badImport("There are no products in the file");
+    if (rows.length > MAX_ROWS) throw badImport(`At most ${MAX_ROWS} products per import`);
+    return { rows, warnings };
+}
+
+/* ----------------- ZIP ----------------- */
+const EOCD = 0x06054b50;
+const CENTRAL = 0x02014b50;
+const LOCAL = 0x04034b50;
+
+function badZip(message) {
+    return badImport(`ZIP: ${message}`);
+}
+
+async function readAt(fh, position, length) {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, position);
+    if (bytesRead !== length) throw badZip("the file is truncated");
+    return buf;
+}
+
+// the central directory: [{ name, flags, method, compressedSize, size, offset }]
+async function zipEntries(fh) {
+    const { size } = await fh.stat();
+    const tailLength = Math.min(size, 22 + 0xffff);
+    if (tailLength < 22) throw badZip("not a ZIP file");
+    const tail = await readAt(fh, size - tailLength, tailLength);
+    let at = -1;
+    for (let i = tailLength - 22; i >= 0; i--) if (tail.readUInt32LE(i) === EOCD) { at = i; break; }
+    if (at === -1) throw badZip("not a ZIP file");
+    const count = tail.readUInt16LE(at + 10);
+    const dirSize = tail.readUInt32LE(at + 12);
+    const dirOffset = tail.readUInt32LE(at + 16);
+    if (count === 0xffff || dirOffset === 0xffffffff) throw badZip("ZIP64 archives are not supported");
+    if (dirOffset + dirSize > size) throw badZip("the file is truncated");
+
+    const dir = await readAt(fh, dirOffset, dirSize);
+    const entries = [];
+    let p = 0;
+    for (let n = 0; n < count; n++) {
+        if (p + 46 > dir.length || dir.readUInt32LE(p) !== CENTRAL) throw badZip("broken central directory");
+        const flags = dir.readUInt16LE(p + 8);
+        const nameLength = dir.readUInt16LE(p + 28);
+        const skip = dir.readUInt16LE(p + 30) + dir.readUInt16LE(p + 32);
+        const entry = {
+            name: dir.toString(flags & 0x800 ? "utf8" : "latin1", p + 46, p + 46 + nameLength),
+            flags,
+            method: dir.readUInt16LE(p + 10),
+            compressedSize: dir.readUInt32LE(p + 20),
+            size: dir.readUInt32LE(p + 24),
+            offset: dir.readUInt32LE(p + 42)
+        };
+        // sizes come from the archive itself: an entry reaching past its end is made up
+        if (entry.offset + 30 + entry.compressedSize > size) throw badZip(`broken entry ${entry.name}`);
+        entries.push(entry);
+        p += 46 + nameLength + skip;
+    }
+    return entries;
+}
+
+async function readEntry(fh, e) {
+    const local = await readAt(fh, e.offset, 30);
+    if (local.readUInt32LE(0) !== LOCAL) throw badZip(`broken entry ${e.name}`);
+    const start = e.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    const raw = await readAt(fh, start, e.compressedSize);
+    if (e.method === 0) return raw;
+    if (e.method !== 8) throw badZip(`${e.name} uses an unsupported compression method`);
+    try {
+        return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, e.size) });
+    } catch {
+        throw badZip(`${e.name} is damaged`);
+    }
+}
+
+/**
+ * Unpack the images of `zipFile` into `dir`. Folders inside the ZIP do not matter: images are
+ * found by file name. Resolves with { images: Map(lower-case name -> { name, file }), warnings }.
+ */
+async function unpackImages(zipFile, dir, { maxImageBytes, maxBytes }) {
+    const images = new Map();
+    const warnings = [];
+    const fh = await fsp.open(zipFile, "r");
+    try {
+        const entries = (await zipEntries(fh)).filter(e => {
+            const base = path.posix.basename(e.name.replace(/\\/g, "/"));
+            return !e.name.endsWith("/") && !e.name.startsWith("__MACOSX/") && !base.startsWith(".") && IMAGE_FILE.test(base);
+        });
+        if (entries.length > MAX_ZIP_IMAGES) throw badZip(`at most ${MAX_ZIP_IMAGES} images per import`);
+        let total = 0;
+        for (const [i, e] of entries.entries()) {
+            const name = path.posix.basename(e.name.replace(/\\/g, "/"));
+            const key = name.toLowerCase();
+            if (images.has(key)) { warnings.push(`The ZIP has more than one ${name}; the first one is used`); continue; }
+            if (e.flags & 0x1) throw badZip(`${name} is encrypted`);
+            if (e.size > maxImageBytes || e.compressedSize > maxImageBytes) throw httpError(413, `ZIP: ${name} is too large`, { code: "FILE_TOO_LARGE" });
+            total += e.size;
+            if (total > maxBytes) throw httpError(413, "ZIP: the images are too large in total", { code: "PAYLOAD_TOO_LARGE" });
+            const data = await readEntry(fh, e);
+            if (data.length !== e.size) throw badZip(`${name} is damaged`);
+            const file = path.join(dir, `${i}${path.extname(name).toLowerCase()}`);
+            await fsp.writeFile(file, data);
+            images.set(key, { name, file });
+        }
+    } finally {
+        await fh.close();
+    }
+    return { images, warnings };
+}
+
+/* ----------------- STAGING ----------------- */
+/**
+ * createImporter({ tmpDir, maxImageBytes, maxBytes }) -> { stage, get, claim, release, discard }
+ */
+function createImporter({ tmpDir, maxImageBytes, maxBytes }) {
+    const staged = new Map(); // token -> { token, dir, rows, images, warnings, createdAt, claimed }
+
+    /**
+     * Parse `dataFile` ({ path, originalname }, CSV or JSON) and unpack the images of `zipFile`.
+     * Resolves with the staged import { token, rows, images, warnings }.
+     */
+    async function stage(dataFile, zipFile) {
+        const { size } = await fsp.stat(dataFile.path);
+        if (size > MAX_DATA_BYTES) throw httpError(413, "The product file is too large", { code: "FILE_TOO_LARGE" });
+        const format = /\.json$/i.test(dataFile.originalname || "") ? "json" : "csv";
+        const { rows, warnings } = parseRows(await fsp.readFile(dataFile.path, "utf8"), format);
+
+        const token = crypto.randomBytes(12).toString("hex");
+        const dir = path.join(tmpDir, `import-${token}`);
+        await fsp.mkdir(dir, { recursive: true });
+        try {
+            let images = new Map();
+            if (zipFile) {
+                const unpacked = await unpackImages(zipFile.path, dir, { maxImageBytes, maxBytes });
+                images = unpacked.images;
+                warnings.push(...unpacked.warnings);
+            }
+            const st = { token, dir, format, rows, images, warnings, createdAt: Date.now(), claimed: false };
+            staged.set(token, st);
+            return st;
+        } catch (err) {
+            await fsp.rm(dir, { recursive: true, force: true }).catch(() => {});
+            throw err;
+        }
+    }
+
+    function get(token) {
+        const st = staged.get(token);
+        if (!st) throw httpError(404, "Import not found (it expires after an hour)");
+        return st;
+    }
+
+    // one apply at a time per staged import; release() after a failed apply
+    function claim(token) {
+        const st = get(token);
+        if (st.claimed) throw httpError(409, "This import is already being applied");
+        st.claimed = true;
+        return st;
+    }
+
+    function release(token) {
+        const st = staged.get(token);
+        if (st) st.claimed = false;
+    }
+
+    async function discard(token) {
+        const st = staged.get(token);
+        if (!st) return false;
+        staged.delete(token);
+        await fsp.rm(st.dir, { recursive: true, force: true }).catch(() => {});
+        return true;
+    }
+
+    // staging folders left by a previous run can never be applied — the tokens lived in memory
+    fsp.readdir(tmpDir).then(names => Promise.all(names
+        .filter(n => n.startsWith("import-"))
+        .map(n => fsp.rm(path.join(tmpDir, n), { recursive: true, force: true }))
+    )).catch(() => {});
+
+    // staged imports nobody applied are dropped after an hour
+    setInterval(() => {
+        for (const [token, st] of staged) if (!st.claimed && Date.now() - st.createdAt > STAGE_TTL_MS) discard(token);
+    }, 10 * 60 * 1000).unref();
+
+    return { stage, get, claim, release, discard };
+}
+
+module.exports = {
+    COLUMNS,
+    MAX_ROWS,
+    toCsv,
+    parseCsv,
+    parseRows,
+    createImporter
+};
@@ -0,0 +1,283 @@
+/**
+ * lib/media.js
+ *
+ * Media library: an index (data/media.json) of every image the site stores, with
+ * where it came from, its dimensions and a sha256 content hash.
+ *
+ * Areas (keyed by public URL):
+ *   gallery   /images/<file>            (everything under public/images except products/)
+ *   products  /images/products/<file>
+ *   reviews   /uploads/reviews/<file>   (review thumbnails "-thumb.jpg" belong to their photo)
+ *
+ * Which products / reviews use a file is worked out from the live data (collectUsage)
+ * rather than stored, so it can never go stale.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const store = require("./store");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const PUBLIC_DIR = path.join(ROOT_DIR, "public");
+const IMAGES_DIR = path.join(PUBLIC_DIR, "images");
+const PRODUCTS_IMG_DIR = path.join(IMAGES_DIR, "products");
+const REVIEW_UPLOADS_DIR = path.join(PUBLIC_DIR, "uploads", "reviews");
+const MEDIA_FILE = path.join(ROOT_DIR, "data", "media.json");
+
+const IMAGE_FILE = /\.(jpg|jpeg|png|gif|webp|avif|svg|heic|heif)$/i;
+const REVIEW_THUMB = /-thumb\.jpg$/i;
+
+// unreferenced product images / review photos younger than this are left alone:
+// uploads in progress, and review photos uploaded before their review is posted
+const ORPHAN_GRACE_MS = Number(process.env.MEDIA_ORPHAN_GRACE_HOURS || 24) * 60 * 60 * 1000;
+
+const AREAS = {
+    gallery: { dir: IMAGES_DIR, prefix: "/images/" },
+    products: { dir: PRODUCTS_IMG_DIR, prefix: "/images/products/" },
+    reviews: { dir: REVIEW_UPLOADS_DIR, prefix: "/uploads/reviews/" }
+};
+
+const mediaStore = store.createJsonStore({
+    name: "media",
+    file: MEDIA_FILE,
+    empty: [],
+    validate: store.arrayOfRecords("url", "area")
+});
+
+/* ----------------- PATHS ----------------- */
+function areaOf(url) {
+    if (url.startsWith(AREAS.products.prefix)) return "products";
+    if (url.startsWith(AREAS.reviews.prefix)) return "reviews";
+    if (url.startsWith(AREAS.gallery.prefix)) return "gallery";
+    return null;
+}
+
+/**
+ * Normalise "/images/a.jpg", "images/a.jpg", "a.jpg" (gallery-relative, as /images/delete gets them)
+ * or "/uploads/reviews/x.jpg" to a public URL. Returns null for anything outside the known areas.
+ */
+function toUrl(ref) {
+    let s = String(ref || "").trim().replace(/\\/g, "/");
+    if (!s) return null;
+    if (!s.startsWith("/")) s = s.startsWith("images/") || s.startsWith("uploads/") ? "/" + s : "/images/" + s;
+    const url = path.posix.normalize(s);
+    if (!areaOf(url) || url.includes("/../")) return null;
+    return url;
+}
+
+function fileFor(url) {
+    const full = path.resolve(PUBLIC_DIR, "." + url);
+    return full.startsWith(PUBLIC_DIR + path.sep) ? full : null;
+}
+
+async function walk(dir, skip) {
+    const out = [];
+    let items;
+    try { items = await fsp.readdir(dir, { withFileTypes: true }); } catch { return out; }
+    for (const it of items) {
+        const full = path.join(dir, it.name);
+        if (it.isDirectory()) {
+            if (!skip.includes(full)) out.push(...await walk(full, skip));
+        } else if (IMAGE_FILE.test(it.name) && !(dir === REVIEW_UPLOADS_DIR && REVIEW_THUMB.test(it.name))) {
+            out.push(full);
+        }
+    }
+    return out;
+}
+
+function urlOf(full) {
+    return "/" + path.relative(PUBLIC_DIR, full).split(path.sep).join("/");
+}
+
+/* ----------------- DESCRIBE ----------------- */
+function hashFile(full) {
+    return new Promise((resolve, reject) => {
+        const h = crypto.createHash("sha256");
+        fs.createReadStream(full).on("error", reject).on("data", c => h.update(c)).on("end", () => resolve(h.digest("hex")));
+    });
+}
+
+async function describe(url, origin, previous) {
+    const full = fileFor(url);
+    const st = await fsp.stat(full);
+    const record = {
+        id: url,
+        url,
+        area: areaOf(url),
+        origin: (previous && previous.origin) || origin,
+        size: st.size,
+        mtime: st.mtime.toISOString(),
+        width: null,
+        height: null,
+        format: path.extname(url).slice(1).toLowerCase(),
+        hash: await hashFile(full),
+        indexedAt: new Date().toISOString()
+    };
+    try {
+        const m = await sharp(full).metadata();
+        Object.assign(record, { width: m.width || null, height: m.height || null, format: m.format || record.format });
+    } catch { /* svg / heic etc. — keep the extension as format */ }
+    return record;
+}
+
+/* ----------------- INDEX ----------------- */
+function readIndex() {
+    return mediaStore.read();
+}
+
+/**
+ * Add or refresh one file in the index. origin: "upload" | "product" | "review" | "scan".
+ * Resolves with { record, duplicateOf: [urls with the same hash] }.
+ */
+async function record(ref, origin) {
+    const url = toUrl(ref);
+    if (!url) throw new Error(`Not a media path: ${ref}`);
+    const rec = await describe(url, origin);
+    return mediaStore.update(list => {
+        const idx = list.findIndex(r => r.url === url);
+        if (idx === -1) list.push(rec);
+        else list[idx] = { ...rec, origin: list[idx].origin };
+        return {
+            record: idx === -1 ? rec : list[idx],
+            duplicateOf: list.filter(r => r.hash === rec.hash && r.url !== url).map(r => r.url)
+        };
+    });
+}
+
+// Indexing must never break the upload that triggered it
+async function tryRecord(ref, origin) {
+    try {
+        return await record(ref, origin);
+    } catch (err) {
+        console.error("media index error", ref, err.message);
+        return null;
+    }
+}
+
+async function forget(refs) {
+    const urls = new Set([].concat(refs).map(toUrl).filter(Boolean));
+    if (!urls.size) return;
+    await mediaStore.update(list => {
+        for (let i = list.length - 1; i >= 0; i--) if (urls.has(list[i].url)) list.splice(i, 1);
+    }).catch(err => console.error("media index error", err.message));
+}
+
+let scanning = null;
+
+/**
+ * Bring the index in line with the disk: new files are described (origin "scan"),
+ * changed files (size / mtime) re-hashed, missing files dropped. One scan at a time.
+ * Resolves with { total, added, updated, removed }.
+ */
+function scan() {
+    if (scanning) return scanning;
+    scanning = (async () => {
+        const files = [
+            ...await walk(IMAGES_DIR, [PRODUCTS_IMG_DIR]),
+            ...await walk(PRODUCTS_IMG_DIR, []),
+            ...await walk(REVIEW_UPLOADS_DIR, [])
+        ];
+        const known = new Map((await readIndex()).map(r => [r.url, r]));
+        const fresh = new Map();
+        let added = 0;
+        let updated = 0;
+        for (const full of files) {
+            const url = urlOf(full);
+            const prev = known.get(url);
+            try {
+                const st = await fsp.stat(full);
+                if (prev && prev.size === st.size && prev.mtime === st.mtime.toISOString()) continue;
+                fresh.set(url, await describe(url, "scan", prev));
+                if (prev) updated++; else added++;
+            } catch (err) {
+                console.error("media scan error", url, err.message);
+            }
+        }
+        const onDisk = new Set(files.map(urlOf));
+        return mediaStore.update(list => {
+            // records added while we were walking the disk are kept; files deleted meanwhile are not re-added
+            const before = list.length;
+            for (let i = list.length - 1; i >= 0; i--) {
+                const r = list[i];
+                if (known.has(r.url) && !onDisk.has(r.url)) list.splice(i, 1);
+                else if (fresh.has(r.url)) { list[i] = { ...fresh.get(r.url), origin: r.origin }; fresh.delete(r.url); }
+            }
+            const removed = before - list.length;
+            for (const rec of fresh.values()) if (fs.existsSync(fileFor(rec.url))) list.push(rec);
+            return { total: list.length, added, updated, removed };
+        });
+    })().finally(() => { scanning = null; });
+    return scanning;
+}
+
+/* ----------------- USAGE ----------------- */
+/**
+ * url -> [{ type: "product", id, name } | { type: "review", productId, reviewId }]
+ * from the current products array and reviews map.
+ */
+function collectUsage(products, reviews) {
+    const usage = new Map();
+    const add = (ref, entry) => {
+        const url = toUrl(ref);
+        if (!url) return;
+        if (!usage.has(url)) usage.set(url, []);
+        usage.get(url).push(entry);
+    };
+    for (const p of products || []) {
+        if (p.image) add(p.image, { type: "product", id: p.id, name: p.name });
+    }
+    for (const [productId, list] of Object.entries(reviews || {})) {
+        for (const r of list) {
+            for (const img of r.images || []) add(img, { type: "review", productId, reviewId: r.id });
+        }
+    }
+    return usage;
+}
+
+function describeUsage(refs) {
+    return refs.map(r => r.type === "product" ? `product "${r.name}"` : `a review of product ${r.productId}`).join(", ");
+}
+
+/* ----------------- ORPHANS & DUPLICATES ----------------- */
+/**
+ * Product images and review photos nobody references (gallery images are always
+ * in use — the gallery shows them). `keep` lists urls that must never count as orphans.
+ */
+function findOrphans(index, usage, { keep = [], now = Date.now() } = {}) {
+    return index.filter(r =>
+        (r.area === "products" || r.area === "reviews") &&
+        !usage.has(r.url) &&
+        !keep.includes(r.url) &&
+        now - new Date(r.mtime).getTime() > ORPHAN_GRACE_MS
+    );
+}
+
+// [{ hash, files: [record, ...] }] for content stored more than once
+function findDuplicates(index) {
+    const byHash = new Map();
+    for (const r of index) {
+        if (!r.hash) continue;
+        if (!byHash.has(r.hash)) byHash.set(r.hash, []);
+        byHash.get(r.hash).push(r);
+    }
+    return Array.from(byHash, ([hash, files]) => ({ hash, files })).filter(g => g.files.length > 1);
+}
+
+module.exports = {
+    AREAS,
+    ORPHAN_GRACE_MS,
+    toUrl,
+    fileFor,
+    readIndex,
+    record,
+    tryRecord,
+    forget,
+    scan,
+    collectUsage,
+    describeUsage,
+    findOrphans,
+    findDuplicates
+};
@@ -0,0 +1,314 @@
+/**
+ * lib/notify.js
+ *
+ * Notifications for things staff should hear about straight away — a review waiting for
+ * approval or reported by a visitor, a new enquiry, a product sold out or booked out for a day —
+ * by webhook and / or email.
+ *
+ * emit() never delivers itself: it adds one outbox message per channel to data/outbox.json
+ * (through the shared JSON store) and a worker sends the messages that are due. A failed send is
+ * retried with exponential backoff (30s, 1m, 2m ... capped at 6h); after MAX_ATTEMPTS, or on an
+ * error that retrying cannot fix (webhook 4xx, SMTP 5xx), the message is marked "failed" and
+ * stays in the outbox, where the admin page can send it again.
+ *
+ *   { id, event, channel: "webhook" | "email", target, subject, text, data,
+ *     status: "pending" | "sending" | "sent" | "failed", attempts, nextAttemptAt,
+ *     lastAttemptAt, lastError, createdAt, sentAt }
+ *
+ * Webhooks get a JSON POST { id, event, at, text, data } — `text` makes Slack / Discord style
+ * incoming webhooks work as they are — signed with X-Dorys-Signature: sha256=<hmac of the body>
+ * when a secret is set.
+ */
+
+const crypto = require("crypto");
+const store = require("./store");
+const smtp = require("./smtp");
+const { httpError } = require("./validate");
+
+const STATUSES = ["pending", "sending", "sent", "failed"];
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const BATCH = 10; // messages claimed at a time
+const WEBHOOK_TIMEOUT_MS = 10000;
+const KEEP_SENT_DAYS = 30;
+const MAX_MESSAGES = 1000;
+
+/* ----------------- MESSAGES ----------------- */
+const stars = n => "★".repeat(Math.max(0, Math.min(5, Math.round(n || 0))));
+
+// event -> (data, link) => { subject, text }; link(path) makes an absolute URL when SITE_URL is known
+const TEMPLATES = {
+    "review.submitted": (d, link) => ({
+        subject: `New review for ${d.productName} ${stars(d.rating)} — waiting for approval`,
+        text: `${d.author} left a ${d.rating}-star review on ${d.productName}` +
+            `${d.images ? ` with ${d.images} photo${d.images === 1 ? "" : "s"}` : ""}:\n\n` +
+            `${d.text || "(no text)"}\n\nApprove or reject it: ${link("/admin-products.html")}`
+    }),
+    "review.reported": (d, link) => ({
+        subject: `Review on ${d.productName} reported as ${d.reason} — back in the queue`,
+        text: `A visitor reported ${d.author}'s review on ${d.productName} as ${d.reason}` +
+            `${d.reports > 1 ? ` (${d.reports} reports so far)` : ""}. It is hidden until someone approves or hides it:\n\n` +
+            `${d.text || "(no text)"}\n\nModerate it: ${link("/admin-products.html")}`
+    }),
+    "order.created": (d, link) => ({
+        subject: `New enquiry ${d.ref}: ${d.productName} × ${d.quantity}`,
+        text: [
+            `${d.customerName} (${d.phone}) asked for ${d.quantity} × ${d.productName}.`,
+            d.requestedDate ? `Wanted on: ${d.requestedDate}` : null,
+            d.options ? `Options: ${d.options}` : null,
+            d.total !== null && d.total !== undefined ? `Total: ₹ ${d.total}` : null,
+            d.message ? `\n${d.message}` : null,
+            `\nOrder board: ${link("/admin-orders.html")}`
+        ].filter(l => l !== null).join("\n")
+    }),
+    "product.sold-out": (d, link) => ({
+        subject: `${d.name} is now sold out`,
+        text: `${d.name} was marked sold out by ${d.by}. Customers can no longer send enquiries for it.\n\n${link(`/product/${d.slug}`)}`
+    }),
+    "product.fully-booked": (d, link) => ({
+        subject: `${d.name} is fully booked for ${d.date}`,
+        text: `Enquiry ${d.ref} took the last of the ${d.dailyCapacity} ${d.name} available on ${d.date}.\n\nOrder board: ${link("/admin-orders.html")}`
+    }),
+    "test": (d, link) => ({
+        subject: "Test notification from Dory's Bakehouse",
+        text: `${d.by} sent this test from ${link("/admin-notifications.html")}. If you can read it, this channel works.`
+    })
+};
+const EVENTS = Object.keys(TEMPLATES);
+
+/* ----------------- DELIVERY ----------------- */
+function deliveryError(message, permanent) {
+    return Object.assign(new Error(message), { permanent });
+}
+
+async function postWebhook(url, secret, msg) {
+    const body = JSON.stringify({ id: msg.id, event: msg.event, at: msg.createdAt, text: `${msg.subject}\n\n${msg.text}`, data: msg.data });
+    const headers = { "Content-Type": "application/json", "User-Agent": "dorys-bakehouse-notify", "X-Dorys-Event": msg.event, "X-Dorys-Delivery": msg.id };
+    if (secret) headers["X-Dorys-Signature"] = "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+    let res;
+    try {
+        res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+    } catch (err) {
+        throw deliveryError(err.name === "TimeoutError" ? `No answer within ${WEBHOOK_TIMEOUT_MS / 1000}s` : `Could not connect: ${(err.cause && err.cause.code) || err.message}`);
+    }
+    if (res.ok) return `HTTP ${res.status}`;
+    const detail = (await res.text().catch(() => "")).slice(0, 200);
+    // 408 / 429 are worth another try; other 4xx mean the request itself is wrong
+    const permanent = res.status >= 400 && res.status < 500 && ![408, 429].includes(res.status);
+    throw deliveryError(`HTTP ${res.status}${detail ? `: ${detail}` : ""}`, permanent);
+}
+
+function backoff(attempts) {
+    return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/* ----------------- NOTIFIER ----------------- */
+/**
+ * createNotifier({ file, webhooks, webhookSecret, smtp, emailTo, siteUrl })
+ *  - webhooks  URLs every event is POSTed to
+ *  - smtp      { host, port, secure, user, pass, from } or null; emailTo is the list of recipients
+ *  - siteUrl   public address for links in messages (relative links without it)
+ */
+function createNotifier({ file, webhooks = [], webhookSecret = "", smtp: mail = null, emailTo = [], siteUrl = "" }) {
+    const outbox = store.createJsonStore({
+        name: "outbox",
+        file,
+        empty: [],
+        validate: store.arrayOfRecords("status")
+    });
+    const emailOn = !!(mail && mail.host && mail.from && emailTo.length);
+    const link = p => (siteUrl || "") + p;
+    let running = false;
+    let again = false;
+    const worker = { lastRun: null, lastSent: 0, lastFailed: 0 };
+
+    function channels() {
+        const out = webhooks.map(url => ({ channel: "webhook", target: url }));
+        if (emailOn) out.push({ channel: "email", target: emailTo.join(", ") });
+        return out;
+    }
+
+    async function deliver(msg) {
+        if (msg.channel === "webhook") {
+            if (!webhooks.includes(msg.target)) throw deliveryError("This webhook is no longer configured", true);
+            return postWebhook(msg.target, webhookSecret, msg);
+        }
+        if (!emailOn) throw deliveryError("Email is no longer configured", true);
+        try {
+            return await smtp.sendMail({ ...mail, to: msg.target.split(/,\s*/), subject: msg.subject, text: msg.text });
+        } catch (err) {
+            throw deliveryError(err.message, err.smtpCode >= 500);
+        }
+    }
+
+    /**
+     * Queue `event` for every configured channel. Never throws: a failure is logged,
+     * the action that caused the event goes ahead regardless.
+     */
+    async function emit(event, data = {}) {
+        const targets = channels();
+        if (!targets.length) return [];
+        try {
+            if (!TEMPLATES[event]) throw new Error(`Unknown notification event ${event}`);
+            const { subject, text } = TEMPLATES[event](data, link);
+            const now = new Date().toISOString();
+            const messages = targets.map(t => ({
+                id: crypto.randomBytes(8).toString("hex"),
+                event,
+                channel: t.channel,
+                target: t.target,
+                subject,
+                text,
+                data,
+                status: "pending",
+                attempts: 0,
+                nextAttemptAt: now,
+                lastAttemptAt: null,
+                lastError: null,
+                createdAt: now,
+                sentAt: null
+            }));
+            await outbox.update(list => { list.unshift(...messages); });
+            setImmediate(runDue);
+            return messages;
+        } catch (err) {
+            console.error("notification queue error", event, err);
+            return [];
+        }
+    }
+
+    // sent messages older than KEEP_SENT_DAYS go, and the outbox never grows past MAX_MESSAGES
+    function prune(list) {
+        const cutoff = Date.now() - KEEP_SENT_DAYS * 24 * 60 * 60 * 1000;
+        let kept = list.filter(m => m.status !== "sent" || Date.parse(m.sentAt) > cutoff);
+        while (kept.length > MAX_MESSAGES) {
+            const oldestSent = kept.map(m => m.status).lastIndexOf("sent");
+            kept.splice(oldestSent === -1 ? kept.length - 1 : oldestSent, 1);
+        }
+        list.splice(0, list.length, ...kept);
+    }
+
+    // claim up to BATCH due messages, send them, record the outcome: { picked, sent, failed }
+    async function sendBatch() {
+        const now = Date.now();
+        const isDue = m => m.status === "pending" && Date.parse(m.nextAttemptAt) <= now;
+        // plain read first so an idle outbox is never rewritten
+        if (!(await outbox.read()).some(isDue)) return { picked: 0, sent: 0, failed: 0 };
+        const due = await outbox.update(list => {
+            const picked = list.filter(isDue).reverse().slice(0, BATCH); // oldest first
+            for (const m of picked) m.status = "sending";
+            return picked.map(m => ({ ...m }));
+        });
+        const results = [];
+        for (const msg of due) {
+            try {
+                results.push({ id: msg.id, reply: await deliver(msg) });
+            } catch (err) {
+                results.push({ id: msg.id, error: err });
+            }
+        }
+        let sent = 0;
+        let failed = 0;
+        await outbox.update(list => {
+            const at = new Date().toISOString();
+            for (const r of results) {
+                const m = list.find(x => x.id === r.id);
+                if (!m) continue;
+                m.attempts += 1;
+                m.lastAttemptAt = at;
+                if (!r.error) {
+                    Object.assign(m, { status: "sent", sentAt: at, lastError: null });
+                    sent++;
+                    continue;
+                }
+                const giveUp = r.error.permanent || m.attempts >= MAX_ATTEMPTS;
+                m.status = giveUp ? "failed" : "pending";
+                m.lastError = String(r.error.message).slice(0, 500);
+                m.nextAttemptAt = giveUp ? null : new Date(Date.now() + backoff(m.attempts)).toISOString();
+                if (giveUp) {
+                    failed++;
+                    console.error(`notification ${m.id} (${m.event} via ${m.channel}) failed for good: ${m.lastError}`);
+                }
+            }
+            prune(list);
+        });
+        return { picked: due.length, sent, failed };
+    }
+
+    /**
+     * Send every message that is due. Safe to call often: runs never overlap, and a call made
+     * during a run makes that run look again before it stops.
+     */
+    async function runDue() {
+        if (running) { again = true; return; }
+        running = true;
+        let sent = 0;
+        let failed = 0;
+        try {
+            for (;;) {
+                again = false;
+                const batch = await sendBatch();
+                sent += batch.sent;
+                failed += batch.failed;
+                if (!batch.picked && !again) break;
+            }
+        } catch (err) {
+            console.error("notification worker error", err);
+        } finally {
+            Object.assign(worker, { lastRun: new Date().toISOString(), lastSent: sent, lastFailed: failed });
+            running = false;
+        }
+    }
+
+    /**
+     * Start the worker: messages left "sending" by a crash are due again, then due messages
+     * are checked every `everyMs`.
+     */
+    function start(everyMs = 15000) {
+        outbox.read()
+            .then(list => list.some(m => m.status === "sending") && outbox.update(all => {
+                for (const m of all) if (m.status === "sending") Object.assign(m, { status: "pending", nextAttemptAt: new Date().toISOString() });
+            }))
+            .catch(err => console.error("notification outbox startup error", err))
+            .then(runDue);
+        setInterval(runDue, everyMs).unref();
+    }
+
+    /**
+     * Outbox view for the admin page: { channels, counts, worker, items } (newest first, at most `limit`)
+     */
+    async function list({ status, event, limit = 100 } = {}) {
+        const all = await outbox.read();
+        const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+        for (const m of all) counts[m.status] = (counts[m.status] || 0) + 1;
+        const items = all.filter(m => (!status || m.status === status) && (!event || m.event === event));
+        return { channels: channels(), counts, worker: { ...worker }, total: items.length, items: items.slice(0, limit) };
+    }
+
+    /**
+     * Send a failed (or still waiting) message again now, with a fresh set of attempts.
+     */
+    async function retry(id) {
+        const msg = await outbox.update(list => {
+            const m = list.find(x => x.id === id);
+            if (!m) throw httpError(404, "Message not found");
+            if (m.status === "sent" || m.status === "sending") {
+                throw httpError(400, `Message is already ${m.status}`);
+            }
+            Object.assign(m, { status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString() });
+            return { ...m };
+        });
+        setImmediate(runDue);
+        return msg;
+    }
+
+    return { emit, start, runDue, list, retry, channels, outbox };
+}
+
+module.exports = {
+    EVENTS,
+    STATUSES,
+    MAX_ATTEMPTS,
+    createNotifier
+};
@@ -0,0 +1,152 @@
+/**
+ * lib/options.js
+ *
+ * Product option groups (weight, flavour, eggless, message on top ...) and the prices they make.
+ *
+ * Stored on the product as `options`:
+ *   [{ id, name, type: "single" | "multi" | "text", required,
+ *      choices: [{ id, label, priceDelta, priceMultiplier }],   // single / multi
+ *      priceDelta, maxLength }]                                 // text: charged when filled in
+ *
+ * A customer's selection is { groupId: choiceId | [choiceIds] | "text" }.
+ * Price of one unit = base price × every chosen multiplier + every chosen delta;
+ * total = unit × quantity. Prices are only ever computed here, never taken from the client.
+ */
+
+const { slugify, parsePrice } = require("./catalog");
+const { httpError } = require("./validate");
+
+const TYPES = ["single", "multi", "text"];
+const MAX_GROUPS = 10;
+const MAX_CHOICES = 20;
+const MAX_TEXT = 200;
+
+function money(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/* ----------------- DEFINITIONS ----------------- */
+function parseNumber(raw, { min, max, fallback }) {
+    if (raw === undefined || raw === null || raw === "") return fallback;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= min && n <= max ? n : NaN;
+}
+
+// unique id within `taken`, from an id the admin gave or the label
+function idFor(raw, label, taken) {
+    const base = slugify(raw || label);
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    taken.add(id);
+    return id;
+}
+
+/**
+ * Check option groups sent by the admin (array, or a JSON string from a multipart form).
+ * Resolves ids from names, fills defaults. Returns { value } or { error }.
+ */
+function validateDefinition(raw) {
+    let groups = raw;
+    if (raw === undefined || raw === null || raw === "") return { value: [] };
+    if (typeof raw === "string") {
+        try { groups = JSON.parse(raw); } catch { return { error: "Options must be valid JSON" }; }
+    }
+    if (!Array.isArray(groups)) return { error: "Options must be a list of groups" };
+    if (groups.length > MAX_GROUPS) return { error: `At most ${MAX_GROUPS} option groups` };
+
+    const groupIds = new Set();
+    const out = [];
+    for (const [i, g] of groups.entries()) {
+        const where = `Option group ${i + 1}`;
+        if (!g || typeof g !== "object") return { error: `${where} is not an object` };
+        const name = String(g.name || "").trim();
+        if (!name || name.length > 60) return { error: `${where} needs a name (up to 60 characters)` };
+        const type = String(g.type || "single");
+        if (!TYPES.includes(type)) return { error: `${where}: type must be one of ${TYPES.join(", ")}` };
+        const group = { id: idFor(g.id, name, groupIds), name, type, required: !!g.required };
+
+        if (type === "text") {
+            const delta = parseNumber(g.priceDelta, { min: 0, max: 100000, fallback: 0 });
+            const maxLength = parseNumber(g.maxLength, { min: 1, max: MAX_TEXT, fallback: 60 });
+            if (Number.isNaN(delta)) return { error: `${where}: price must be a non-negative amount` };
+            if (!Number.isInteger(maxLength)) return { error: `${where}: max length must be 1-${MAX_TEXT}` };
+            Object.assign(group, { priceDelta: money(delta), maxLength });
+        } else {
+            const choices = Array.isArray(g.choices) ? g.choices : [];
+            if (!choices.length || choices.length > MAX_CHOICES) return { error: `${where} needs 1-${MAX_CHOICES} choices` };
+            const choiceIds = new Set();
+            group.choices = [];
+            for (const c of choices) {
+                const label = String((c && c.label) || "").trim();
+                if (!label || label.length > 60) return { error: `${where}: every choice needs a label (up to 60 characters)` };
+                const priceDelta = parseNumber(c.priceDelta, { min: -100000, max: 100000, fallback: 0 });
+                const priceMultiplier = parseNumber(c.priceMultiplier, { min: 0.01, max: 100, fallback: 1 });
+                if (Number.isNaN(priceDelta)) return { error: `${where}: "${label}" has an invalid price` };
+                if (Number.isNaN(priceMultiplier)) return { error: `${where}: "${label}" multiplier must be 0.01-100` };
+                group.choices.push({ id: idFor(c.id, label, choiceIds), label, priceDelta: money(priceDelta), priceMultiplier });
+            }
+        }
+        out.push(group);
+    }
+    return { value: out };
+}
+
+/* ----------------- PRICING ----------------- */
+/**
+ * Validate `selection` against the product's groups and price it.
+ * Throws 400 with .fields { "options.<groupId>": message } for a bad selection.
+ * Returns { unitPrice, total, quantity, currency, lines: [{ group, name, value, priceDelta, priceMultiplier? }] };
+ * unitPrice / total are null for a product without a price (the choices are still checked).
+ */
+function priceSelection(product, selection, quantity = 1) {
+    const basePrice = parsePrice(product.price);
+    const sel = selection && typeof selection === "object" && !Array.isArray(selection) ? selection : {};
+    const groups = product.options || [];
+    const errors = {};
+    const lines = [];
+    let multiplier = 1;
+    let delta = 0;
+
+    const fail = (id, message) => { errors[`options.${id}`] = message; };
+
+    for (const id of Object.keys(sel)) {
+        if (!groups.some(g => g.id === id)) fail(id, "Unknown option");
+    }
+    for (const g of groups) {
+        const raw = sel[g.id];
+        const empty = raw === undefined || raw === null || raw === "" || (Array.isArray(raw) && !raw.length);
+        if (empty) {
+            if (g.required) fail(g.id, `Choose ${g.name}`);
+            continue;
+        }
+        if (g.type === "text") {
+            const text = String(raw).trim();
+            if (!text) { if (g.required) fail(g.id, `Enter ${g.name}`); continue; }
+            if (text.length > g.maxLength) { fail(g.id, `${g.name} must be at most ${g.maxLength} characters`); continue; }
+            delta += g.priceDelta || 0;
+            lines.push({ group: g.id, name: g.name, value: text, priceDelta: g.priceDelta || 0 });
+            continue;
+        }
+        const ids = Array.isArray(raw) ? raw.map(String) : [String(raw)];
+        if (g.type === "single" && ids.length > 1) { fail(g.id, `Choose one ${g.name}`); continue; }
+        const picked = ids.map(id => g.choices.find(c => c.id === id));
+        if (picked.some(c => !c)) { fail(g.id, `Not a valid ${g.name}`); continue; }
+        for (const c of new Set(picked)) {
+            multiplier *= c.priceMultiplier || 1;
+            delta += c.priceDelta || 0;
+            lines.push({ group: g.id, name: g.name, value: c.label, priceDelta: c.priceDelta || 0, priceMultiplier: c.priceMultiplier || 1 });
+        }
+    }
+    if (Object.keys(errors).length) throw httpError(400, Object.values(errors)[0], { fields: errors });
+
+    if (basePrice === null) return { unitPrice: null, total: null, quantity, currency: "INR", lines };
+    const unitPrice = money(basePrice * multiplier + delta);
+    if (unitPrice < 0) throw httpError(400, "These options don't add up to a valid price");
+    return { unitPrice, total: money(unitPrice * quantity), quantity, currency: "INR", lines };
+}
+
+module.exports = {
+    TYPES,
+    validateDefinition,
+    priceSelection
+};
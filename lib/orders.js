@@ -0,0 +1,150 @@
+/**
+ * lib/orders.js
+ *
+ * Enquiries / orders captured from the product page before it opens WhatsApp.
+ * Stored in data/orders.json (outside public) as an array, newest first,
+ * through the shared JSON store (lib/store.js).
+ *
+ * Status flow: new -> confirmed -> baking -> ready -> delivered
+ *              any open status -> cancelled
+ */
+
+const path = require("path");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const store = require("./store");
+const { localDate } = require("./availability");
+const { httpError } = require("./validate");
+
+const ORDERS_FILE = path.join(__dirname, "..", "data", "orders.json");
+
+const STATUSES = ["new", "confirmed", "baking", "ready", "delivered", "cancelled"];
+const NEXT_STATUS = {
+    new: ["confirmed", "cancelled"],
+    confirmed: ["baking", "cancelled"],
+    baking: ["ready", "cancelled"],
+    ready: ["delivered", "cancelled"],
+    delivered: [],
+    cancelled: []
+};
+
+/* ----------------- FILE ----------------- */
+const ordersStore = store.createJsonStore({
+    name: "orders",
+    file: ORDERS_FILE,
+    empty: [],
+    validate: store.arrayOfRecords("status")
+});
+
+function readOrders() {
+    return ordersStore.read();
+}
+
+/* ----------------- VALIDATION ----------------- */
+/**
+ * Validate a public enquiry body.
+ * Returns { values, errors } — errors is a { field: message } map, empty when valid.
+ */
+function validateEnquiry(body) {
+    const values = {};
+    const errors = {};
+
+    values.productId = String(body.productId || "").trim();
+    if (!values.productId) errors.productId = "Product required";
+
+    values.customerName = String(body.customerName || "").trim();
+    if (!values.customerName) errors.customerName = "Your name is required";
+    else if (values.customerName.length > 80) errors.customerName = "Name must be at most 80 characters";
+
+    values.phone = String(body.phone || "").trim();
+    if (!/^\+?[0-9][0-9\s-]{6,18}$/.test(values.phone)) errors.phone = "Enter a valid phone number";
+
+    values.requestedDate = String(body.requestedDate || "").trim() || null;
+    if (values.requestedDate) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(values.requestedDate) || isNaN(Date.parse(values.requestedDate))) {
+            errors.requestedDate = "Date must be YYYY-MM-DD";
+        } else if (values.requestedDate < localDate(Date.now())) {
+            errors.requestedDate = "Date cannot be in the past";
+        }
+    }
+
+    const qty = body.quantity === undefined || body.quantity === "" ? 1 : Number(body.quantity);
+    if (!Number.isInteger(qty) || qty < 1 || qty > 100) errors.quantity = "Quantity must be a whole number from 1 to 100";
+    else values.quantity = qty;
+
+    values.message = String(body.message || "").trim();
+    if (values.message.length > 1000) errors.message = "Message must be at most 1000 characters";
+
+    return { values, errors };
+}
+
+/* ----------------- OPERATIONS ----------------- */
+// short reference customers can quote on WhatsApp, e.g. DB-7K2Q9F
+function makeRef() {
+    return "DB-" + crypto.randomBytes(4).toString("hex").slice(0, 6).toUpperCase();
+}
+
+/**
+ * Save a new enquiry. `check(orders)` runs under the orders file lock before the order is added
+ * (availability / capacity rules) — throw from it to refuse the order.
+ * `pricing` is the server-computed selection from lib/options.js priceSelection(), if any,
+ * with any promotion applied by lib/promotions.js applyDiscount().
+ */
+async function createOrder(values, product, { check, pricing } = {}) {
+    const now = new Date().toISOString();
+    const order = {
+        id: uuidv4(),
+        ref: makeRef(),
+        productId: product.id,
+        productName: product.name,
+        customerName: values.customerName,
+        phone: values.phone,
+        requestedDate: values.requestedDate,
+        quantity: values.quantity,
+        message: values.message,
+        options: pricing ? pricing.lines : [],
+        unitPrice: pricing ? pricing.unitPrice : null,
+        total: pricing ? pricing.total : null,
+        discount: pricing && pricing.discount ? pricing.discount : null,
+        status: "new",
+        createdAt: now,
+        updatedAt: now,
+        history: [{ status: "new", at: now, by: "customer" }]
+    };
+    await ordersStore.update(list => {
+        if (check) check(list);
+        list.unshift(order);
+    });
+    return order;
+}
+
+/**
+ * Move an order to `status`. Rejects with .status 400/404 for bad requests.
+ */
+function setOrderStatus(id, status, by, note) {
+    if (!STATUSES.includes(status)) {
+        throw httpError(400, `Status must be one of: ${STATUSES.join(", ")}`);
+    }
+    return ordersStore.update(list => {
+        const order = list.find(o => o.id === id);
+        if (!order) throw httpError(404, "Order not found");
+        if (!NEXT_STATUS[order.status].includes(status)) {
+            throw httpError(400, `Cannot move order from ${order.status} to ${status}`);
+        }
+        const now = new Date().toISOString();
+        order.status = status;
+        order.updatedAt = now;
+        order.history.push({ status, at: now, by, ...(note ? { note: String(note).slice(0, 500) } : {}) });
+        return order;
+    });
+}
+
+module.exports = {
+    STATUSES,
+    NEXT_STATUS,
+    ordersStore,
+    readOrders,
+    validateEnquiry,
+    createOrder,
+    setOrderStatus
+};
@@ -0,0 +1,302 @@
+/**
+ * lib/pages.js
+ *
+ * Server-rendered HTML / XML for search engines and link previews (WhatsApp, Instagram ...):
+ *
+ *   productPage()  /product/<slug> — name, image, price, description and approved reviews,
+ *                  with OpenGraph / Twitter tags and schema.org Product JSON-LD
+ *   notFoundPage() the same layout for an unknown slug (404, noindex)
+ *   sitemap()      /sitemap.xml
+ *   robots()       /robots.txt
+ *
+ * Everything is plain template strings; every value from the data files goes through
+ * escapeHtml() (or jsonLd() inside <script>).
+ */
+
+const SITE_NAME = "Dory's Bakehouse";
+const WA_NUMBER = "919168445014";
+const CURRENCY = "INR";
+const MAX_PAGE_REVIEWS = 50;   // rendered on the page
+const MAX_LD_REVIEWS = 10;     // repeated in the JSON-LD
+
+function escapeHtml(s) {
+    return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+// JSON for a <script> block: "</script>" inside a review must not end it
+function jsonLd(value) {
+    return JSON.stringify(value).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+function absolute(base, url) {
+    if (!url) return null;
+    return /^https?:\/\//i.test(url) ? url : base + (url.startsWith("/") ? url : "/" + url);
+}
+
+function excerpt(text, max) {
+    const s = String(text || "").replace(/\s+/g, " ").trim();
+    return s.length > max ? s.slice(0, max - 1).replace(/\s+\S*$/, "") + "…" : s;
+}
+
+function stars(value) {
+    const full = Math.round(Number(value) || 0);
+    return "★".repeat(full) + `<span class="gray">${"★".repeat(5 - full)}</span>`;
+}
+
+function pictureHtml(product, variants, sizes) {
+    const alt = escapeHtml(product.name);
+    if (!variants) return `<img src="${escapeHtml(product.image)}" alt="${alt}">`;
+    const sources = ["avif", "webp"].filter(f => variants.srcset[f])
+        .map(f => `<source type="image/${f}" srcset="${escapeHtml(variants.srcset[f])}" sizes="${sizes}">`).join("");
+    const fallback = variants.full ? variants.full.jpeg : product.image;
+    return `<picture>${sources}<img src="${escapeHtml(fallback)}" srcset="${escapeHtml(variants.srcset.jpeg)}" sizes="${sizes}" alt="${alt}"></picture>`;
+}
+
+const STYLE = `
+:root{ --bg:#FAF0DE; --accent:#563e30; --accent-dark:#472a20; --text:#563e30; --muted:#6e5a52; --card:rgba(253,239,193,0.45); }
+*{box-sizing:border-box}
+body{margin:0;font-family:'Poppins',system-ui;background:var(--bg);color:var(--text);-webkit-font-smoothing:antialiased}
+header{background:#fff;box-shadow:0 2px 8px rgba(0,0,0,0.08);padding:12px 20px;display:flex;align-items:center;justify-content:space-between;position:sticky;top:0;z-index:10}
+header img{height:56px;width:auto;border-radius:8px}
+.btn{background:var(--accent);color:#fff;padding:10px 14px;border-radius:8px;text-decoration:none;font-weight:600;box-shadow:0 2px 6px rgba(0,0,0,0.12);display:inline-block}
+.btn.wa{background:#25D366}
+main{max-width:1000px;margin:24px auto;padding:0 16px}
+.product{display:grid;grid-template-columns:1fr 1fr;gap:28px;background:var(--card);border-radius:14px;padding:18px;box-shadow:0 8px 28px rgba(0,0,0,0.06)}
+.product picture,.product img{display:block;width:100%;border-radius:10px;background:#fff;object-fit:cover}
+h1{font-family:'Great Vibes',cursive;font-size:44px;margin:0 0 6px;font-weight:400}
+.cat{display:inline-block;font-size:13px;color:var(--muted);background:rgba(86,62,48,0.06);padding:6px 10px;border-radius:999px}
+.price{font-weight:700;font-size:22px;color:var(--accent-dark);margin:12px 0}
+.stars{color:#e6b422;letter-spacing:2px}
+.stars .gray{color:#ddd}
+.desc{line-height:1.6;white-space:pre-line}
+.actions{display:flex;gap:10px;flex-wrap:wrap;margin-top:18px}
+h2{font-family:'Great Vibes',cursive;font-size:34px;font-weight:400;margin:28px 0 10px}
+.histogram{display:grid;grid-template-columns:auto 1fr auto;gap:4px 10px;align-items:center;max-width:360px;font-size:13px;margin-bottom:16px}
+.histogram .bar{height:8px;border-radius:4px;background:rgba(86,62,48,0.1);overflow:hidden}
+.histogram .bar span{display:block;height:100%;background:#e6b422}
+.review{background:#fff;border-radius:10px;padding:12px;margin-bottom:10px;box-shadow:0 2px 8px rgba(0,0,0,0.05)}
+.review .top{display:flex;justify-content:space-between;font-weight:700}
+.review p{margin:6px 0;color:#333}
+.review .photos{display:flex;gap:6px}
+.review .photos img{width:64px;height:64px;object-fit:cover;border-radius:6px}
+.review .when{font-size:12px;color:var(--muted)}
+.review .reply{margin-top:8px;padding:8px 10px;border-left:3px solid var(--accent);background:var(--bg);border-radius:6px;font-size:14px}
+.muted{color:var(--muted)}
+.availability{font-size:14px;color:var(--muted);margin:-4px 0 12px}
+.badge{display:inline-block;font-size:12px;font-weight:600;padding:4px 10px;border-radius:999px;background:#e6b422;color:#fff}
+.badge.out{background:#b02020}
+.badge.promo{background:#c0392b;margin-left:8px;vertical-align:middle}
+.price s{font-weight:400;color:var(--muted);margin-right:8px}
+@media(max-width:760px){ .product{grid-template-columns:1fr} h1{font-size:36px} }
+`;
+
+function layout({ title, head = "", body }) {
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${head}
+<link href="https://fonts.googleapis.com/css2?family=Great+Vibes&family=Poppins:wght@300;400;500;600&display=swap" rel="stylesheet">
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+    <a href="/"><img src="/logo/dorys.PNG" alt="${escapeHtml(SITE_NAME)}"></a>
+    <a class="btn" href="/product.html">All products</a>
+</header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// sold out / seasonal badge, notice needed, days made and the earliest date it can be ordered for
+function availabilityHtml(p) {
+    const notes = [];
+    if (p.availability === "sold-out") notes.push(`<span class="badge out">Sold out</span>`);
+    else if (p.availability === "seasonal") notes.push(`<span class="badge">Seasonal</span>`);
+    if (p.leadTimeHours) {
+        const days = p.leadTimeHours % 24 === 0 ? p.leadTimeHours / 24 : 0;
+        notes.push(`Order ${days ? `${days} day${days === 1 ? "" : "s"}` : `${p.leadTimeHours} hours`} ahead`);
+    }
+    if (p.weekdays && p.weekdays.length) notes.push(`Made on ${p.weekdays.map(d => WEEKDAY_NAMES[d]).join(", ")}`);
+    if (p.availability !== "sold-out") {
+        notes.push(p.earliestDate ? `Earliest: <time datetime="${escapeHtml(p.earliestDate)}">${escapeHtml(p.earliestDate)}</time>` : "Fully booked for now");
+    }
+    return `<div class="availability">${notes.join(" · ")}</div>`;
+}
+
+/**
+ * productPage({ product, variants, rating, reviews, baseUrl })
+ *  - product   stored record (with slug, priceValue and the availability.describe() and
+ *              promotions.describe() fields)
+ *  - variants  images.describeVariants() of its image, or null
+ *  - rating    ratings summary { average, count, histogram }
+ *  - reviews   the product's reviews (only approved ones are shown), newest first
+ *  - baseUrl   "https://example.com" — for canonical / og:url / og:image
+ */
+function productPage({ product, variants, rating, reviews, baseUrl }) {
+    const url = `${baseUrl}/product/${product.slug}`;
+    const description = excerpt(product.description, 160) || `${product.name} from ${SITE_NAME}, made to order.`;
+    const shareImage = absolute(baseUrl, variants && variants.full ? variants.full.jpeg : product.image);
+    const approved = (reviews || []).filter(r => r.status === "approved").slice(0, MAX_PAGE_REVIEWS);
+    const price = product.priceValue !== null ? `₹ ${product.price}` : "Price on request";
+    // a live discount: the list price struck through, then what the customer pays
+    const promo = product.promotion && product.effectivePrice !== null ? product.promotion : null;
+    const offerPrice = promo ? product.effectivePrice : product.priceValue;
+    const waText = encodeURIComponent(`Hi, I'd like to order ${product.name} (${url})`);
+
+    const ld = {
+        "@context": "https://schema.org",
+        "@type": "Product",
+        name: product.name,
+        description: product.description || description,
+        image: [shareImage],
+        sku: product.id,
+        category: product.category,
+        url,
+        brand: { "@type": "Brand", name: SITE_NAME }
+    };
+    if (product.priceValue !== null) {
+        ld.offers = {
+            "@type": "Offer",
+            url,
+            price: offerPrice.toFixed(2),
+            priceCurrency: CURRENCY,
+            availability: product.availability === "sold-out" ? "https://schema.org/SoldOut"
+                : product.leadTimeHours ? "https://schema.org/PreOrder" : "https://schema.org/InStock"
+        };
+    }
+    if (ld.offers && promo && promo.endsAt) ld.offers.priceValidUntil = promo.endsAt.slice(0, 10);
+    if (rating.count) {
+        ld.aggregateRating = {
+            "@type": "AggregateRating",
+            ratingValue: rating.average,
+            reviewCount: rating.count,
+            bestRating: 5,
+            worstRating: 1
+        };
+        ld.review = approved.filter(r => r.rating).slice(0, MAX_LD_REVIEWS).map(r => ({
+            "@type": "Review",
+            author: { "@type": "Person", name: r.author || "Anonymous" },
+            datePublished: String(r.when || "").slice(0, 10) || undefined,
+            reviewBody: r.text || undefined,
+            reviewRating: { "@type": "Rating", ratingValue: Number(r.rating), bestRating: 5, worstRating: 1 }
+        }));
+    }
+
+    const head = `<meta name="description" content="${escapeHtml(description)}">
+<link rel="canonical" href="${escapeHtml(url)}">
+<meta property="og:type" content="product">
+<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}">
+<meta property="og:title" content="${escapeHtml(product.name)}">
+<meta property="og:description" content="${escapeHtml(description)}">
+<meta property="og:url" content="${escapeHtml(url)}">
+${shareImage ? `<meta property="og:image" content="${escapeHtml(shareImage)}">
+<meta property="og:image:alt" content="${escapeHtml(product.name)}">` : ""}
+${variants && variants.full ? `<meta property="og:image:width" content="${variants.full.width}">
+<meta property="og:image:height" content="${variants.full.height}">` : ""}
+${product.priceValue !== null ? `<meta property="product:price:amount" content="${offerPrice.toFixed(2)}">
+<meta property="product:price:currency" content="${CURRENCY}">` : ""}
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${escapeHtml(product.name)}">
+<meta name="twitter:description" content="${escapeHtml(description)}">
+${shareImage ? `<meta name="twitter:image" content="${escapeHtml(shareImage)}">` : ""}
+<script type="application/ld+json">${jsonLd(ld)}</script>`;
+
+    const histogram = rating.count ? `<div class="histogram">${[5, 4, 3, 2, 1].map(n => {
+        const c = rating.histogram[n] || 0;
+        return `<span>${n} ★</span><div class="bar"><span style="width:${Math.round((c / rating.count) * 100)}%"></span></div><span>${c}</span>`;
+    }).join("")}</div>` : "";
+
+    const reviewsHtml = approved.length ? approved.map(r => `<article class="review">
+        <div class="top"><span>${escapeHtml(r.author || "Anonymous")}</span><span class="stars">${stars(r.rating)}</span></div>
+        ${r.text ? `<p>${escapeHtml(r.text)}</p>` : ""}
+        ${(r.images || []).length ? `<div class="photos">${r.images.map((u, i) => `<a href="${escapeHtml(u)}" target="_blank" rel="noreferrer"><img src="${escapeHtml((r.thumbs && r.thumbs[i]) || u)}" alt="Review photo" loading="lazy"></a>`).join("")}</div>` : ""}
+        ${r.when || r.helpful ? `<div class="when">${r.when ? `<time datetime="${escapeHtml(r.when)}">${escapeHtml(String(r.when).slice(0, 10))}</time>` : ""}${r.helpful ? ` · ${r.helpful} found this helpful` : ""}</div>` : ""}
+        ${r.reply ? `<div class="reply"><strong>Reply from ${escapeHtml(SITE_NAME)}</strong><p>${escapeHtml(r.reply.text)}</p></div>` : ""}
+    </article>`).join("\n") : `<p class="muted">No reviews yet.</p>`;
+
+    const body = `<section class="product">
+    <div>${pictureHtml(product, variants, "(max-width:760px) 100vw, 480px")}</div>
+    <div>
+        <h1>${escapeHtml(product.name)}</h1>
+        <span class="cat">${escapeHtml(product.category || "Uncategorized")}</span>
+        <div class="price">${promo
+            ? `<s>${escapeHtml(price)}</s>₹ ${offerPrice}<span class="badge promo">${escapeHtml(promo.badge)}</span>`
+            : escapeHtml(price)}</div>
+        ${availabilityHtml(product)}
+        ${rating.count ? `<div><span class="stars">${stars(rating.average)}</span> <span class="muted">${rating.average} · ${rating.count} review${rating.count === 1 ? "" : "s"}</span></div>` : ""}
+        ${product.description ? `<p class="desc">${escapeHtml(product.description)}</p>` : ""}
+        <div class="actions">
+            ${product.orderable ? `<a class="btn wa" href="https://wa.me/${WA_NUMBER}?text=${waText}" target="_blank" rel="noreferrer">Order on WhatsApp</a>` : ""}
+            <a class="btn" href="/product.html">Browse more</a>
+        </div>
+    </div>
+</section>
+<section>
+    <h2>Reviews</h2>
+    ${histogram}
+    ${reviewsHtml}
+</section>`;
+
+    return layout({ title: `${product.name} — ${SITE_NAME}`, head, body });
+}
+
+function notFoundPage() {
+    return layout({
+        title: `Product not found — ${SITE_NAME}`,
+        head: `<meta name="robots" content="noindex">`,
+        body: `<h1>Product not found</h1><p class="muted">This product may have been removed. <a href="/product.html">See all products</a>.</p>`
+    });
+}
+
+/**
+ * sitemap({ products, baseUrl }) — home, product list and every product page (with its image)
+ */
+function sitemap({ products, baseUrl }) {
+    const entry = ({ loc, lastmod, image }) => `  <url>
+    <loc>${escapeHtml(loc)}</loc>${lastmod ? `
+    <lastmod>${escapeHtml(lastmod)}</lastmod>` : ""}${image ? `
+    <image:image><image:loc>${escapeHtml(image)}</image:loc></image:image>` : ""}
+  </url>`;
+    const newest = products.reduce((max, p) => Math.max(max, new Date(p.updatedAt || p.createdAt || 0).getTime()), 0);
+    const urls = [
+        { loc: `${baseUrl}/` },
+        { loc: `${baseUrl}/product.html`, lastmod: newest ? new Date(newest).toISOString() : null },
+        ...products.map(p => ({
+            loc: `${baseUrl}/product/${p.slug}`,
+            lastmod: p.updatedAt || p.createdAt || null,
+            image: absolute(baseUrl, p.image)
+        }))
+    ];
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${urls.map(entry).join("\n")}
+</urlset>
+`;
+}
+
+function robots({ baseUrl }) {
+    return `User-agent: *
+Disallow: /admin
+Disallow: /upload.html
+Disallow: /login.html
+Allow: /
+
+Sitemap: ${baseUrl}/sitemap.xml
+`;
+}
+
+module.exports = {
+    productPage,
+    notFoundPage,
+    sitemap,
+    robots
+};
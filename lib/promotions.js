@@ -0,0 +1,344 @@
+/**
+ * lib/promotions.js
+ *
+ * Admin-managed promotions for the catalog, stored in data/promotions.json through the shared
+ * JSON store (lib/store.js). Every promotion can be switched off and can have a start / end time;
+ * it only counts while it is enabled and inside that window ("live").
+ *
+ *   { id, type: "featured" | "discount" | "collection", name, enabled, startsAt, endsAt,
+ *     productIds: [],            // featured: pinned products, in order; others: members
+ *     categories: [],            // discount / collection: every product in these categories too
+ *     kind: "percent" | "flat", amount, code, badge,    // discount only
+ *     slug, description,                                // collection only
+ *     createdAt, updatedAt }
+ *
+ * Discounts without a code apply on their own; ones with a code only when the customer enters
+ * it. Discounts never stack: a product gets the one that saves the most.
+ */
+
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const store = require("./store");
+const { slugify } = require("./catalog");
+const { httpError } = require("./validate");
+
+const PROMOTIONS_FILE = path.join(__dirname, "..", "data", "promotions.json");
+
+const TYPES = ["featured", "discount", "collection"];
+const KINDS = ["percent", "flat"];
+const MAX_PRODUCTS = 200;
+const MAX_CODE = 30;
+const CODE = new RegExp(`^[A-Z0-9_-]{3,${MAX_CODE}}$`);
+
+/* ----------------- FILE ----------------- */
+const promotionsStore = store.createJsonStore({
+    name: "promotions",
+    file: PROMOTIONS_FILE,
+    empty: [],
+    validate: store.arrayOfRecords("type", "name")
+});
+
+function readPromotions() {
+    return promotionsStore.read();
+}
+
+function money(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/* ----------------- VALIDATION ----------------- */
+function parseTime(raw) {
+    const s = String(raw ?? "").trim();
+    if (!s) return { value: null };
+    const t = Date.parse(s);
+    return Number.isFinite(t) ? { value: new Date(t).toISOString() } : { error: true };
+}
+
+// array, JSON array string or comma separated string -> unique trimmed strings
+function parseList(raw) {
+    if (raw === undefined || raw === null || raw === "") return [];
+    let list = raw;
+    if (typeof raw === "string") {
+        try { list = raw.trim().startsWith("[") ? JSON.parse(raw) : raw.split(","); } catch { return null; }
+    }
+    if (!Array.isArray(list)) return null;
+    return Array.from(new Set(list.map(v => String(v).trim()).filter(Boolean)));
+}
+
+function normaliseCode(raw) {
+    return String(raw || "").trim().toUpperCase();
+}
+
+/**
+ * Validate a whole promotion (on update, the stored record merged with the changes).
+ * `productIds` are checked against `products`. Returns { values, errors } like validateProductFields().
+ */
+function validatePromotion(body, { products = [] } = {}) {
+    const values = {};
+    const errors = {};
+
+    values.type = String(body.type || "");
+    if (!TYPES.includes(values.type)) errors.type = `Type must be one of ${TYPES.join(", ")}`;
+
+    values.name = String(body.name || "").trim();
+    if (!values.name) errors.name = "Name is required";
+    else if (values.name.length > 80) errors.name = "Name must be at most 80 characters";
+
+    values.enabled = body.enabled === undefined ? true : body.enabled === true || body.enabled === "true";
+
+    for (const key of ["startsAt", "endsAt"]) {
+        const t = parseTime(body[key]);
+        if (t.error) errors[key] = "Enter a valid date and time";
+        else values[key] = t.value;
+    }
+    if (values.startsAt && values.endsAt && values.startsAt >= values.endsAt) errors.endsAt = "End must be after the start";
+
+    const ids = parseList(body.productIds);
+    const known = new Set(products.map(p => p.id));
+    if (ids === null) errors.productIds = "Products must be a list of ids";
+    else if (ids.length > MAX_PRODUCTS) errors.productIds = `At most ${MAX_PRODUCTS} products`;
+    else if (ids.some(id => !known.has(id))) errors.productIds = `Unknown product: ${ids.find(id => !known.has(id))}`;
+    else values.productIds = ids;
+
+    if (values.type === "featured") {
+        values.categories = [];
+        if (values.productIds && !values.productIds.length) errors.productIds = "Pick at least one product to feature";
+    } else {
+        const cats = parseList(body.categories);
+        if (cats === null) errors.categories = "Categories must be a list";
+        else values.categories = cats;
+        if (values.productIds && cats && !values.productIds.length && !cats.length) {
+            errors.productIds = "Pick products or categories";
+        }
+    }
+
+    if (values.type === "discount") {
+        values.kind = String(body.kind || "percent");
+        if (!KINDS.includes(values.kind)) errors.kind = `Kind must be one of ${KINDS.join(", ")}`;
+        const amount = Number(body.amount);
+        if (!Number.isFinite(amount) || amount <= 0) errors.amount = "Amount must be more than 0";
+        else if (values.kind === "percent" && amount >= 100) errors.amount = "A percentage must be below 100";
+        else if (amount > 100000) errors.amount = "Amount is too large";
+        else values.amount = money(amount);
+        values.code = normaliseCode(body.code) || null;
+        if (values.code && !CODE.test(values.code)) errors.code = `Codes are 3-${MAX_CODE} letters, digits, - or _`;
+        values.badge = String(body.badge || "").trim();
+        if (values.badge.length > 30) errors.badge = "Badge must be at most 30 characters";
+    }
+
+    if (values.type === "collection") {
+        values.description = String(body.description || "").trim();
+        if (values.description.length > 500) errors.description = "Description must be at most 500 characters";
+    }
+    return { values, errors };
+}
+
+// drop fields a type does not use, so switching type leaves nothing stale behind
+function fieldsOf(values) {
+    const base = ["type", "name", "enabled", "startsAt", "endsAt", "productIds", "categories"];
+    const extra = { featured: [], discount: ["kind", "amount", "code", "badge"], collection: ["description"] }[values.type];
+    return Object.fromEntries(base.concat(extra).map(k => [k, values[k]]));
+}
+
+function uniqueSlug(name, list, ownId) {
+    const taken = new Set(list.filter(p => p.type === "collection" && p.id !== ownId).map(p => p.slug));
+    const base = slugify(name);
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+}
+
+function assertUniqueCode(values, list, ownId) {
+    if (!values.code) return;
+    if (list.some(p => p.id !== ownId && p.type === "discount" && p.code === values.code)) {
+        throw httpError(400, "Another discount already uses this code", { fields: { code: "Code already in use" } });
+    }
+}
+
+/* ----------------- CHANGES ----------------- */
+async function createPromotion(values) {
+    return promotionsStore.update(list => {
+        assertUniqueCode(values, list);
+        const now = new Date().toISOString();
+        const promo = { id: uuidv4(), ...fieldsOf(values), createdAt: now, updatedAt: now };
+        if (promo.type === "collection") promo.slug = uniqueSlug(promo.name, list);
+        list.push(promo);
+        return promo;
+    });
+}
+
+/**
+ * Replace promotion `id` with validated `values`. A collection keeps its slug unless renamed.
+ * Resolves with { before, after }; 404 when there is no such promotion.
+ */
+async function updatePromotion(id, values) {
+    return promotionsStore.update(list => {
+        const idx = list.findIndex(p => p.id === id);
+        if (idx === -1) throw httpError(404, "Promotion not found");
+        const before = list[idx];
+        assertUniqueCode(values, list, id);
+        const after = { id, ...fieldsOf(values), createdAt: before.createdAt, updatedAt: new Date().toISOString() };
+        if (after.type === "collection") {
+            after.slug = before.slug && before.name === after.name ? before.slug : uniqueSlug(after.name, list, id);
+        }
+        list[idx] = after;
+        return { before, after };
+    });
+}
+
+async function deletePromotion(id) {
+    return promotionsStore.update(list => {
+        const idx = list.findIndex(p => p.id === id);
+        if (idx === -1) throw httpError(404, "Promotion not found");
+        return list.splice(idx, 1)[0];
+    });
+}
+
+/**
+ * A product was deleted: take it out of every promotion. Never throws.
+ */
+async function forgetProduct(productId) {
+    try {
+        const list = await readPromotions();
+        if (!list.some(p => p.productIds.includes(productId))) return;
+        await promotionsStore.update(all => {
+            for (const p of all) p.productIds = p.productIds.filter(id => id !== productId);
+        });
+    } catch (err) {
+        console.error("promotions cleanup error", productId, err.message);
+    }
+}
+
+/* ----------------- APPLYING ----------------- */
+function isLive(promo, now = Date.now()) {
+    if (!promo.enabled) return false;
+    if (promo.startsAt && Date.parse(promo.startsAt) > now) return false;
+    if (promo.endsAt && Date.parse(promo.endsAt) <= now) return false;
+    return true;
+}
+
+function covers(promo, product) {
+    if (promo.productIds.includes(product.id)) return true;
+    const cat = String(product.category || "").toLowerCase();
+    return promo.categories.some(c => c.toLowerCase() === cat);
+}
+
+// the price after discount `d` (a flat amount never takes it below 0)
+function discountedPrice(price, d) {
+    if (price === null || !d) return price;
+    return d.kind === "percent" ? money(price * (1 - d.amount / 100)) : money(Math.max(0, price - d.amount));
+}
+
+// of `discounts`, the one saving the most on `price`; the first one when the price is unknown
+function best(discounts, price) {
+    if (!discounts.length) return null;
+    if (price === null) return discounts[0];
+    return discounts.reduce((a, b) => discountedPrice(price, b) < discountedPrice(price, a) ? b : a);
+}
+
+// what the shop shows about a discount — never its code
+function publicDiscount(d) {
+    return d && {
+        id: d.id,
+        name: d.name,
+        badge: d.badge || (d.kind === "percent" ? `${d.amount}% off` : `₹${d.amount} off`),
+        kind: d.kind,
+        amount: d.amount,
+        endsAt: d.endsAt
+    };
+}
+
+/**
+ * Promotion facts for one product, from the `live` promotions:
+ * { featured, featuredRank, collections: [slug], promotion, effectivePrice }.
+ * `price` is the product's parsed base price (or null); only automatic discounts count here.
+ */
+function describe(product, price, live) {
+    let featuredRank = null;
+    let rankBase = 0;
+    const collections = [];
+    const discounts = [];
+    for (const p of live) {
+        if (p.type === "featured") {
+            // earlier promotions pin first, then the order inside each one
+            const i = p.productIds.indexOf(product.id);
+            if (i !== -1 && featuredRank === null) featuredRank = rankBase + i;
+            rankBase += p.productIds.length;
+        } else if (covers(p, product)) {
+            if (p.type === "collection") collections.push(p.slug);
+            else if (!p.code) discounts.push(p);
+        }
+    }
+    const d = best(discounts, price);
+    return {
+        featured: featuredRank !== null,
+        featuredRank,
+        collections,
+        promotion: publicDiscount(d),
+        effectivePrice: discountedPrice(price, d)
+    };
+}
+
+/**
+ * The discount a configuration gets: the best automatic one, or the code's if that saves more.
+ * A code that is unknown, not live or not for this product throws 400 with fields { promoCode }.
+ */
+function discountFor(product, price, live, code) {
+    const candidates = live.filter(p => p.type === "discount" && !p.code && covers(p, product));
+    const wanted = normaliseCode(code);
+    if (wanted) {
+        const match = live.find(p => p.type === "discount" && p.code === wanted);
+        if (!match) throw httpError(400, "This code is not valid", { fields: { promoCode: "This code is not valid" } });
+        if (!covers(match, product)) throw httpError(400, "This code does not apply to this product", { fields: { promoCode: "Not valid for this product" } });
+        candidates.push(match);
+    }
+    return best(candidates, price);
+}
+
+/**
+ * Apply discount `d` to a priced selection from lib/options.js priceSelection():
+ * the unit price is discounted, the total recomputed, and `listUnitPrice` / `discount` added.
+ */
+function applyDiscount(pricing, d) {
+    if (!d || pricing.unitPrice === null) return { ...pricing, listUnitPrice: pricing.unitPrice, discount: null };
+    const unitPrice = discountedPrice(pricing.unitPrice, d);
+    return {
+        ...pricing,
+        listUnitPrice: pricing.unitPrice,
+        unitPrice,
+        total: money(unitPrice * pricing.quantity),
+        discount: { ...publicDiscount(d), code: d.code || null, saved: money((pricing.unitPrice - unitPrice) * pricing.quantity) }
+    };
+}
+
+/**
+ * Live collections with how many of `products` are in each, in the order they were created.
+ */
+function collectionsFor(live, products) {
+    return live.filter(p => p.type === "collection").map(c => ({
+        slug: c.slug,
+        name: c.name,
+        description: c.description,
+        startsAt: c.startsAt,
+        endsAt: c.endsAt,
+        count: products.filter(p => covers(c, p)).length
+    }));
+}
+
+module.exports = {
+    TYPES,
+    KINDS,
+    MAX_CODE,
+    promotionsStore,
+    readPromotions,
+    validatePromotion,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    forgetProduct,
+    isLive,
+    describe,
+    discountFor,
+    applyDiscount,
+    collectionsFor
+};
@@ -0,0 +1,56 @@
+/**
+ * lib/ratelimit.js
+ *
+ * Per-IP request limits for the public endpoints (reviews, photo uploads, votes, enquiries).
+ * Each limiter counts requests per IP in a fixed window held in memory, so the counts reset
+ * when the server restarts. Past the limit the request gets a 429 RATE_LIMITED with a
+ * Retry-After header (seconds), in the API's error format (lib/validate.js).
+ */
+
+const { errorResponse, httpError } = require("./validate");
+
+const limiters = [];
+
+/**
+ * createLimiter({ name, max, windowMs }) -> middleware
+ * `name` shows in the error message ("Too many reviews ..."). max 0 turns the limiter off.
+ */
+function createLimiter({ name, max, windowMs }) {
+    const hits = new Map(); // ip -> { count, start }
+    limiters.push({ hits, windowMs });
+
+    return (req, res, next) => {
+        if (!max) return next();
+        const now = Date.now();
+        const ip = req.ip || "unknown";
+        let h = hits.get(ip);
+        if (!h || now - h.start >= windowMs) {
+            h = { count: 0, start: now };
+            hits.set(ip, h);
+        }
+        h.count++;
+        res.set("RateLimit-Limit", String(max));
+        res.set("RateLimit-Remaining", String(Math.max(0, max - h.count)));
+        if (h.count <= max) return next();
+        const retryAfter = Math.ceil((h.start + windowMs - now) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        const { status, body } = errorResponse(httpError(429, `Too many ${name}, please try again in ${describeWait(retryAfter)}`));
+        res.status(status).json({ ...body, retryAfter });
+    };
+}
+
+function describeWait(seconds) {
+    if (seconds < 90) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+// forget windows that are over so the maps don't grow forever
+setInterval(() => {
+    const now = Date.now();
+    for (const { hits, windowMs } of limiters) {
+        for (const [ip, h] of hits) if (now - h.start >= windowMs) hits.delete(ip);
+    }
+}, 10 * 60 * 1000).unref();
+
+module.exports = { createLimiter };
@@ -0,0 +1,86 @@
+/**
+ * lib/ratings.js
+ *
+ * Per-product rating aggregates (average, count, 1-5 star histogram) over approved reviews.
+ *
+ * Aggregates are kept in memory: built from the reviews file on first use, then
+ * recomputed for a single product whenever one of its reviews is approved or rejected.
+ * Call invalidate() if reviews.json is replaced behind the server's back.
+ */
+
+function emptySummary() {
+    return { average: 0, count: 0, histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+}
+
+/**
+ * Aggregate one product's reviews. Only approved reviews with a 1-5 rating count.
+ */
+function summarize(reviews) {
+    const out = emptySummary();
+    let sum = 0;
+    for (const r of reviews || []) {
+        if (r.status !== "approved") continue;
+        const stars = Math.round(Number(r.rating));
+        if (!(stars >= 1 && stars <= 5)) continue;
+        out.histogram[stars]++;
+        out.count++;
+        sum += stars;
+    }
+    out.average = out.count ? Math.round((sum / out.count) * 10) / 10 : 0;
+    return out;
+}
+
+/**
+ * createRatings(reviewsStore) -> { get, all, refresh, invalidate }
+ */
+function createRatings(reviewsStore) {
+    let cache = null; // Map productId -> summary
+    let loading = null;
+    let generation = 0; // bumped by refresh/invalidate so an in-flight load is not cached stale
+
+    async function load() {
+        if (cache) return cache;
+        if (!loading) {
+            const startedAt = generation;
+            loading = reviewsStore.read()
+                .then(all => {
+                    const built = new Map(Object.entries(all).map(([pid, arr]) => [pid, summarize(arr)]));
+                    if (startedAt === generation) cache = built;
+                    return built;
+                })
+                .finally(() => { loading = null; });
+        }
+        return loading;
+    }
+
+    return {
+        /** Summary for one product (zeroes when it has no approved reviews) */
+        async get(productId) {
+            return (await load()).get(String(productId)) || emptySummary();
+        },
+
+        /** { productId: summary } for every product with at least one approved review */
+        async all() {
+            const out = {};
+            for (const [pid, s] of await load()) if (s.count) out[pid] = s;
+            return out;
+        },
+
+        /** Recompute one product from its current review list (call after the store write) */
+        refresh(productId, reviews) {
+            generation++;
+            if (cache) cache.set(String(productId), summarize(reviews));
+        },
+
+        invalidate() {
+            generation++;
+            cache = null;
+        }
+    };
+}
+
+module.exports = {
+    summarize,
+    emptySummary,
+    createRatings
+};
@@ -0,0 +1,136 @@
+/**
+ * lib/reviews.js
+ *
+ * Moderation, replies, helpful votes and reports for product reviews. The reviews themselves
+ * live in data/reviews.json ({ productId: [review, ...] }, see the reviews store in server.js);
+ * the functions here change one review in place and are meant to run inside reviewsStore.update().
+ *
+ *   status   "pending" (waiting for a moderator) | "approved" (public) | "hidden" (kept, not shown)
+ *   reply    { text, by, at } | null — the bakery's public answer
+ *   helpful  how many visitors found it helpful; `voters` holds a hash of each visitor id
+ *   reports  [{ reason, details, at, by }] — a report sends an approved review back to "pending"
+ *            and sets `reported` until a moderator approves or hides it again
+ *
+ * `voters` and who reported never leave the server (see publicReview / adminReview).
+ */
+
+const crypto = require("crypto");
+const { httpError } = require("./validate");
+
+const STATUSES = ["pending", "approved", "hidden"];
+// GET /admin/reviews?status= also takes these
+const FILTERS = [...STATUSES, "reported", "all"];
+const REPORT_REASONS = ["spam", "abusive", "off-topic", "personal-info", "other"];
+
+const MAX_REPLY = 1000;
+const MAX_REPORT_DETAILS = 500;
+const MAX_REPORTS = 50; // kept per review; older ones are dropped
+
+function fieldError(field, message) {
+    return httpError(400, message, { fields: { [field]: message } });
+}
+
+// visitor ids are hashed before they are stored
+function voterKey(visitor) {
+    return crypto.createHash("sha256").update(String(visitor)).digest("hex").slice(0, 24);
+}
+
+/* ----------------- VIEWS ----------------- */
+/** What the public sees of an approved review (the reply without the staff account's name) */
+function publicReview(r) {
+    const { voters, reports, reported, moderatedAt, ...rest } = r;
+    const reply = r.reply ? { text: r.reply.text, at: r.reply.at } : null;
+    return { ...rest, reply, helpful: r.helpful || 0 };
+}
+
+/** What moderators see: everything but the voters, and reports without who sent them */
+function adminReview(r) {
+    const { voters, ...rest } = r;
+    return {
+        ...rest,
+        reply: r.reply || null,
+        helpful: r.helpful || 0,
+        reported: !!r.reported,
+        reports: (r.reports || []).map(({ by, ...report }) => report)
+    };
+}
+
+function matchesFilter(r, filter) {
+    if (filter === "all") return true;
+    if (filter === "reported") return !!r.reported;
+    return r.status === filter;
+}
+
+/* ----------------- CHANGES ----------------- */
+/**
+ * The review `reviewId` of `productId` in the parsed reviews file, or a 404.
+ * With `approvedOnly`, reviews the public cannot see count as missing too.
+ */
+function findReview(all, productId, reviewId, { approvedOnly = false } = {}) {
+    const review = (all[productId] || []).find(r => String(r.id) === String(reviewId));
+    if (!review || (approvedOnly && review.status !== "approved")) throw httpError(404, "review not found");
+    return review;
+}
+
+/** approve / hide — either one closes open reports */
+function setStatus(review, status) {
+    if (!STATUSES.includes(status)) throw httpError(400, `status must be one of: ${STATUSES.join(", ")}`);
+    review.status = status;
+    review.moderatedAt = new Date().toISOString();
+    if (status !== "pending") review.reported = false;
+    return review;
+}
+
+/** Set the bakery's reply; empty text removes it */
+function setReply(review, text, by) {
+    const reply = String(text === undefined || text === null ? "" : text).trim();
+    if (reply.length > MAX_REPLY) throw fieldError("text", `A reply must be at most ${MAX_REPLY} characters`);
+    review.reply = reply ? { text: reply, by, at: new Date().toISOString() } : null;
+    return review;
+}
+
+/**
+ * Count `visitor` as finding the review helpful. A second vote from the same visitor is
+ * ignored. Returns { helpful, counted }.
+ */
+function voteHelpful(review, visitor) {
+    const key = voterKey(visitor);
+    review.voters = review.voters || [];
+    if (review.voters.includes(key)) return { helpful: review.helpful || 0, counted: false };
+    review.voters.push(key);
+    review.helpful = review.voters.length;
+    return { helpful: review.helpful, counted: true };
+}
+
+/**
+ * File a report from `visitor` and send the review back to the moderation queue.
+ * One report per visitor per review (409 otherwise).
+ */
+function report(review, visitor, body) {
+    const reason = String((body && body.reason) || "").trim().toLowerCase();
+    const details = String((body && body.details) || "").trim();
+    if (!REPORT_REASONS.includes(reason)) throw fieldError("reason", `reason must be one of: ${REPORT_REASONS.join(", ")}`);
+    if (details.length > MAX_REPORT_DETAILS) throw fieldError("details", `Details must be at most ${MAX_REPORT_DETAILS} characters`);
+    const key = voterKey(visitor);
+    review.reports = review.reports || [];
+    if (review.reports.some(r => r.by === key)) throw httpError(409, "You have already reported this review");
+    review.reports.push({ reason, details, at: new Date().toISOString(), by: key });
+    if (review.reports.length > MAX_REPORTS) review.reports = review.reports.slice(-MAX_REPORTS);
+    review.status = "pending";
+    review.reported = true;
+    return review;
+}
+
+module.exports = {
+    STATUSES,
+    FILTERS,
+    REPORT_REASONS,
+    publicReview,
+    adminReview,
+    matchesFilter,
+    findReview,
+    setStatus,
+    setReply,
+    voteHelpful,
+    report
+};
@@ -0,0 +1,177 @@
+/**
+ * lib/smtp.js
+ *
+ * Minimal SMTP client for the notification outbox (lib/notify.js) — plain-text mail only.
+ *
+ * - port 465 (or secure: true) connects with TLS straight away; otherwise STARTTLS is used
+ *   whenever the server offers it
+ * - AUTH PLAIN / LOGIN, never over an unencrypted connection except to localhost
+ *   (so a local SMTP stand-in works without certificates)
+ * - the body is sent base64-encoded, so no dot-stuffing or line-length issues
+ */
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "::1"];
+
+function smtpError(message, reply) {
+    return Object.assign(new Error(reply ? `${message}: ${reply.code} ${reply.text}` : message), { smtpCode: reply && reply.code });
+}
+
+/* ----------------- CONNECTION ----------------- */
+// Reads SMTP replies ("250-a", "250-b", "250 c" -> { code: 250, text: "a\nb\nc" }) off a socket
+function replyReader(socket) {
+    let buffer = "";
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    function deliver(item) {
+        const w = waiting.shift();
+        if (w) item instanceof Error ? w.reject(item) : w.resolve(item);
+        else replies.push(item);
+    }
+    function onData(chunk) {
+        buffer += chunk.toString("utf8");
+        let nl;
+        while ((nl = buffer.indexOf("\n")) !== -1) {
+            const line = buffer.slice(0, nl).replace(/\r$/, "");
+            buffer = buffer.slice(nl + 1);
+            lines.push(line.slice(4));
+            if (line[3] !== "-") {
+                deliver({ code: Number(line.slice(0, 3)), text: lines.join("\n") });
+                lines = [];
+            }
+        }
+    }
+    function onEnd(err) {
+        if (failure) return;
+        failure = err || smtpError("Connection closed by the mail server");
+        while (waiting.length) waiting.shift().reject(failure);
+    }
+    socket.on("data", onData);
+    socket.on("error", onEnd);
+    socket.on("close", () => onEnd());
+
+    return {
+        next() {
+            if (replies.length) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        // stop reading before STARTTLS hands the socket to TLS (error / close stay harmless)
+        detach() {
+            socket.off("data", onData);
+        }
+    };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(smtpError(`Mail server timed out after ${timeoutMs}ms`)));
+        socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+        socket.once("error", reject);
+    });
+}
+
+function upgrade(socket, host, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+        secured.setTimeout(timeoutMs, () => secured.destroy(smtpError(`Mail server timed out after ${timeoutMs}ms`)));
+        secured.once("error", reject);
+    });
+}
+
+/* ----------------- MESSAGE ----------------- */
+function encodeHeader(value) {
+    const s = String(value).replace(/[\r\n]+/g, " ");
+    return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+}
+
+function addressOf(mailbox) {
+    const m = String(mailbox).match(/<([^>]+)>/);
+    return (m ? m[1] : String(mailbox)).trim();
+}
+
+function buildMessage({ from, to, subject, text }) {
+    const domain = addressOf(from).split("@")[1] || "localhost";
+    const body = Buffer.from(String(text).replace(/\r?\n/g, "\r\n"), "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+    return [
+        `From: ${encodeHeader(from)}`,
+        `To: ${to.map(encodeHeader).join(", ")}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(12).toString("hex")}@${domain}>`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        body
+    ].join("\r\n");
+}
+
+/* ----------------- SEND ----------------- */
+/**
+ * Send one plain-text mail. Resolves with the server's reply to DATA; rejects with
+ * err.smtpCode set when the server refused something (5xx = permanent).
+ * opts: { host, port, secure, user, pass, from, to: [addresses], subject, text, timeoutMs }
+ */
+async function sendMail(opts) {
+    const { host, user, pass, from, to, subject, text } = opts;
+    const port = Number(opts.port) || 587;
+    const secure = opts.secure ?? port === 465;
+    const timeoutMs = opts.timeoutMs || 20000;
+    let socket = await connect({ host, port, secure, timeoutMs });
+    let reader = replyReader(socket);
+
+    async function command(line, expect, what) {
+        if (line !== null) socket.write(line + "\r\n");
+        const reply = await reader.next();
+        if (!expect.includes(reply.code)) throw smtpError(`${what} refused`, reply);
+        return reply;
+    }
+
+    try {
+        await command(null, [220], "Connection");
+        let ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250], "EHLO");
+        if (!secure && /^STARTTLS$/im.test(ehlo.text)) {
+            await command("STARTTLS", [220], "STARTTLS");
+            reader.detach();
+            socket = await upgrade(socket, host, timeoutMs);
+            reader = replyReader(socket);
+            ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250], "EHLO");
+        }
+        const encrypted = socket instanceof tls.TLSSocket;
+        if (user) {
+            if (!encrypted && !LOCAL_HOSTS.includes(host)) throw smtpError("Refusing to send the SMTP password over an unencrypted connection");
+            const methods = (ehlo.text.match(/^AUTH[ =](.*)$/im) || [, ""])[1].toUpperCase().split(/\s+/);
+            if (methods.includes("PLAIN") || !methods.includes("LOGIN")) {
+                await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, [235], "Login");
+            } else {
+                await command("AUTH LOGIN", [334], "Login");
+                await command(Buffer.from(user).toString("base64"), [334], "Login");
+                await command(Buffer.from(pass || "").toString("base64"), [235], "Login");
+            }
+        }
+        await command(`MAIL FROM:<${addressOf(from)}>`, [250], "Sender");
+        for (const rcpt of to) await command(`RCPT TO:<${addressOf(rcpt)}>`, [250, 251], `Recipient ${addressOf(rcpt)}`);
+        await command("DATA", [354], "DATA");
+        const done = await command(buildMessage({ from, to, subject, text }) + "\r\n.", [250], "Message");
+        socket.write("QUIT\r\n");
+        return done.text;
+    } finally {
+        socket.end();
+        setTimeout(() => socket.destroy(), 1000).unref();
+    }
+}
+
+module.exports = {
+    sendMail
+};
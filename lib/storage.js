@@ -0,0 +1,208 @@
+/**
+ * lib/storage.js
+ *
+ * Storage accounting for the volume the site runs on.
+ *
+ * - createMeter() sums file sizes per area (gallery, products, reviews, tmp, data ...) and
+ *   compares them with the configured volume size and upload quota
+ * - meter.guard() is middleware that refuses uploads once the quota is reached
+ * - startSweeper() periodically deletes stale files from a temp folder (multer leaves
+ *   its temp file behind whenever processing fails)
+ *
+ * Walking every folder on each request would be slow, so usage is cached for a short
+ * while; uploads call invalidate() so the next check sees them.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const { errorResponse, httpError } = require("./validate");
+
+const GB = 1024 * 1024 * 1024;
+
+async function sumDir(dir, exclude) {
+    let bytes = 0;
+    let files = 0;
+    let items;
+    try { items = await fsp.readdir(dir, { withFileTypes: true }); } catch { return { bytes, files }; }
+    for (const it of items) {
+        const full = path.join(dir, it.name);
+        if (exclude.includes(full)) continue;
+        if (it.isDirectory()) {
+            const sub = await sumDir(full, exclude);
+            bytes += sub.bytes;
+            files += sub.files;
+        } else if (it.isFile()) {
+            try {
+                bytes += (await fsp.stat(full)).size;
+                files++;
+            } catch { /* removed meanwhile */ }
+        }
+    }
+    return { bytes, files };
+}
+
+function formatBytes(bytes) {
+    return bytes >= GB ? `${(bytes / GB).toFixed(2)} GB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * createMeter({ areas, totalBytes, quotaBytes, cacheMs })
+ *  - areas      { name: { dirs: [absolute dir, ...], exclude: [absolute dir, ...] } }
+ *  - totalBytes size of the volume we are given (DISK_SIZE_GB)
+ *  - quotaBytes uploads are refused once usage reaches this
+ */
+function createMeter({ areas, totalBytes, quotaBytes, cacheMs = 60 * 1000 }) {
+    let cached = null;
+    let computing = null;
+
+    async function compute() {
+        const out = {};
+        let usedBytes = 0;
+        let fileCount = 0;
+        for (const [name, a] of Object.entries(areas)) {
+            const sum = { bytes: 0, files: 0 };
+            for (const dir of a.dirs) {
+                const s = await sumDir(dir, a.exclude || []);
+                sum.bytes += s.bytes;
+                sum.files += s.files;
+            }
+            out[name] = sum;
+            usedBytes += sum.bytes;
+            fileCount += sum.files;
+        }
+        return { areas: out, usedBytes, fileCount, computedAt: Date.now() };
+    }
+
+    /** { areas: { name: { bytes, files } }, usedBytes, fileCount, computedAt } */
+    function usage({ fresh = false } = {}) {
+        if (!fresh && cached && Date.now() - cached.computedAt < cacheMs) return Promise.resolve(cached);
+        if (!computing) {
+            computing = compute()
+                .then(u => (cached = u))
+                .finally(() => { computing = null; });
+        }
+        return computing;
+    }
+
+    // free / total space of the real filesystem, when the platform can tell us (Node >= 18.15)
+    async function volume() {
+        if (typeof fsp.statfs !== "function") return null;
+        try {
+            const s = await fsp.statfs(Object.values(areas)[0].dirs[0]);
+            return { totalBytes: s.blocks * s.bsize, freeBytes: s.bavail * s.bsize };
+        } catch {
+            return null;
+        }
+    }
+
+    const meter = {
+        totalBytes,
+        quotaBytes,
+        usage,
+
+        invalidate() {
+            cached = null;
+        },
+
+        /** Everything /admin/disk-info reports */
+        async report() {
+            const [u, vol] = await Promise.all([usage(), volume()]);
+            return {
+                totalBytes,
+                quotaBytes,
+                usedBytes: u.usedBytes,
+                usedPct: totalBytes > 0 ? Math.round((u.usedBytes / totalBytes) * 100) : 0,
+                quotaPct: quotaBytes > 0 ? Math.round((u.usedBytes / quotaBytes) * 100) : 0,
+                fileCount: u.fileCount,
+                areas: u.areas,
+                volume: vol,
+                computedAt: new Date(u.computedAt).toISOString()
+            };
+        },
+
+        /**
+         * Middleware for upload routes: 507 once usage (+ the incoming body) would pass the quota,
+         * or the real volume is nearly full. Put it before multer so nothing is written.
+         */
+        guard() {
+            return async (req, res, next) => {
+                try {
+                    const incoming = Number(req.get("content-length")) || 0;
+                    const u = await usage();
+                    const vol = await volume();
+                    if (u.usedBytes + incoming > quotaBytes || (vol && vol.freeBytes < incoming + 50 * 1024 * 1024)) {
+                        const { status, body } = errorResponse(httpError(507,
+                            `Storage is full (${formatBytes(u.usedBytes)} used of the ${formatBytes(quotaBytes)} upload quota). ` +
+                            "Delete unused images before uploading more.", { code: "QUOTA_EXCEEDED" }));
+                        return res.status(status).json(body);
+                    }
+                    // the upload changes usage — recount on the next check
+                    res.on("finish", () => meter.invalidate());
+                    next();
+                } catch (err) {
+                    next(err);
+                }
+            };
+        }
+    };
+    return meter;
+}
+
+/* ----------------- TEMP SWEEPER ----------------- */
+/**
+ * Delete files in `dir` older than maxAgeMs. Resolves with { removed, bytes }.
+ */
+async function sweepDir(dir, maxAgeMs) {
+    let removed = 0;
+    let bytes = 0;
+    let items;
+    try { items = await fsp.readdir(dir, { withFileTypes: true }); } catch { return { removed, bytes }; }
+    const cutoff = Date.now() - maxAgeMs;
+    for (const it of items) {
+        if (!it.isFile()) continue;
+        const full = path.join(dir, it.name);
+        try {
+            const s = await fsp.stat(full);
+            if (s.mtimeMs > cutoff) continue;
+            await fsp.unlink(full);
+            removed++;
+            bytes += s.size;
+        } catch { /* in use / already gone */ }
+    }
+    return { removed, bytes };
+}
+
+const sweeper = { lastRun: null, lastRemoved: 0, lastBytes: 0 };
+
+/**
+ * Sweep `dir` now and then every `everyMs`. onSweep is called after a sweep that removed something.
+ */
+function startSweeper(dir, { maxAgeMs, everyMs, onSweep } = {}) {
+    async function run() {
+        try {
+            const r = await sweepDir(dir, maxAgeMs);
+            Object.assign(sweeper, { lastRun: new Date().toISOString(), lastRemoved: r.removed, lastBytes: r.bytes });
+            if (r.removed) {
+                console.log(`tmp sweeper: removed ${r.removed} stale file(s) from ${path.basename(dir)}`);
+                if (onSweep) onSweep(r);
+            }
+        } catch (err) {
+            console.error("tmp sweeper error", err);
+        }
+    }
+    run();
+    setInterval(run, everyMs).unref();
+}
+
+function sweeperStatus() {
+    return { ...sweeper };
+}
+
+module.exports = {
+    GB,
+    createMeter,
+    sweepDir,
+    startSweeper,
+    sweeperStatus
+};
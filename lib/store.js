@@ -0,0 +1,201 @@
+/**
+ * lib/store.js
+ *
+ * Small JSON-file repository shared by products, reviews and orders.
+ *
+ * - reads parse + validate the whole file; a corrupt / wrong-shaped file throws
+ *   (err.code "STORE_CORRUPT", err.status 503) instead of silently looking empty
+ * - writes are serialised per file and go to a temp file that is fsync'd and renamed
+ *   over the original, so a crash never leaves a half-written file
+ * - update(fn) runs read -> fn -> write under the same lock, so two requests
+ *   changing the file at once cannot overwrite each other
+ * - before each write the previous version is kept in data/backups/<name>.<n>.json
+ *   (1 = newest), rolling over after BACKUP_COUNT copies
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const BACKUPS_DIR = path.join(__dirname, "..", "data", "backups");
+const BACKUP_COUNT = Number(process.env.STORE_BACKUP_COUNT || 5);
+
+const stores = new Map(); // name -> store (for status reporting)
+
+function corruptError(name, file, reason) {
+    return Object.assign(
+        new Error(`${name} data file is corrupt (${reason}) — restore it from ${path.relative(path.join(__dirname, ".."), BACKUPS_DIR)}`),
+        { status: 503, code: "STORE_CORRUPT", store: name, file }
+    );
+}
+
+/**
+ * createJsonStore({ name, file, empty, validate })
+ *  - name     short id, also used for backup file names
+ *  - file     absolute path of the JSON file
+ *  - empty    value used when the file does not exist yet (cloned per read)
+ *  - validate (value) => error message | null
+ */
+function createJsonStore({ name, file, empty, validate }) {
+    let queue = Promise.resolve();
+    let lastError = null;
+
+    // run fn after every earlier write/update on this file has finished
+    function serialise(fn) {
+        const run = queue.then(fn, fn);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function read() {
+        let text;
+        try {
+            text = await fsp.readFile(file, "utf8");
+        } catch (err) {
+            if (err.code === "ENOENT") return structuredClone(empty);
+            throw err;
+        }
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (err) {
+            lastError = corruptError(name, file, "invalid JSON");
+            console.error(lastError.message);
+            throw lastError;
+        }
+        const problem = validate ? validate(value) : null;
+        if (problem) {
+            lastError = corruptError(name, file, problem);
+            console.error(lastError.message);
+            throw lastError;
+        }
+        lastError = null;
+        return value;
+    }
+
+    async function rotateBackups() {
+        try {
+            await fsp.access(file);
+        } catch {
+            return; // nothing to back up yet
+        }
+        await fsp.mkdir(BACKUPS_DIR, { recursive: true });
+        for (let i = BACKUP_COUNT - 1; i >= 1; i--) {
+            await fsp.rename(backupPath(i), backupPath(i + 1)).catch(() => {});
+        }
+        await fsp.copyFile(file, backupPath(1));
+    }
+
+    function backupPath(n) {
+        return path.join(BACKUPS_DIR, `${name}.${n}.json`);
+    }
+
+    async function writeAtomic(value) {
+        const problem = validate ? validate(value) : null;
+        if (problem) throw new Error(`refusing to write invalid ${name} data: ${problem}`);
+
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+        const fh = await fsp.open(tmp, "w");
+        try {
+            await fh.writeFile(JSON.stringify(value, null, 2), "utf8");
+            await fh.sync();
+        } finally {
+            await fh.close();
+        }
+        try {
+            await rotateBackups();
+            await fsp.rename(tmp, file);
+        } catch (err) {
+            await fsp.unlink(tmp).catch(() => {});
+            throw err;
+        }
+    }
+
+    const store = {
+        name,
+        file,
+        read,
+
+        /** Shape check without touching the file: error message or null */
+        check(value) {
+            return validate ? validate(value) : null;
+        },
+
+        /** Replace the whole file */
+        write(value) {
+            return serialise(() => writeAtomic(value));
+        },
+
+        /**
+         * Read the current value, let fn change it in place, then write it back —
+         * all under the file lock. Resolves with fn's return value.
+         * If fn throws, nothing is written.
+         */
+        update(fn) {
+            return serialise(async () => {
+                const value = await read();
+                const result = await fn(value);
+                await writeAtomic(value);
+                return result;
+            });
+        },
+
+        /** { name, ok, error, backups: [{ n, size, mtime }] } */
+        async status() {
+            try { await read(); } catch { /* lastError is set */ }
+            const backups = [];
+            for (let n = 1; n <= BACKUP_COUNT; n++) {
+                try {
+                    const s = await fsp.stat(backupPath(n));
+                    backups.push({ n, size: s.size, mtime: s.mtime.toISOString() });
+                } catch { /* missing */ }
+            }
+            return { name, ok: !lastError, error: lastError ? lastError.message : null, backups };
+        }
+    };
+    stores.set(name, store);
+    return store;
+}
+
+function allStores() {
+    return Array.from(stores.values());
+}
+
+/* ----------------- SHAPE CHECKS ----------------- */
+function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// array of objects, each with a string `id` (+ other required string keys)
+function arrayOfRecords(...requiredStrings) {
+    return value => {
+        if (!Array.isArray(value)) return "expected an array";
+        for (let i = 0; i < value.length; i++) {
+            const r = value[i];
+            if (!isPlainObject(r)) return `item ${i} is not an object`;
+            for (const key of ["id", ...requiredStrings]) {
+                if (typeof r[key] !== "string") return `item ${i} has no string "${key}"`;
+            }
+        }
+        return null;
+    };
+}
+
+// { key: [ {..}, {..} ] }
+function mapOfRecordArrays(value) {
+    if (!isPlainObject(value)) return "expected an object";
+    for (const [key, arr] of Object.entries(value)) {
+        if (!Array.isArray(arr)) return `"${key}" is not an array`;
+        if (arr.some(r => !isPlainObject(r))) return `"${key}" contains a non-object`;
+    }
+    return null;
+}
+
+module.exports = {
+    createJsonStore,
+    allStores,
+    arrayOfRecords,
+    mapOfRecordArrays
+};
@@ -0,0 +1,128 @@
+/**
+ * lib/trash.js
+ *
+ * Deleting a product moves it to the trash (data/trash.json) together with its reviews, so the
+ * deletion can be undone. Its image and review photos stay on disk until the entry is purged.
+ *
+ *   { id (= the product's id), product, reviews: [review, ...], deletedAt, deletedBy }
+ *
+ * Moving a product in or out writes three stores (products, reviews, trash) one after the other;
+ * when a later write fails the earlier ones are put back.
+ */
+
+const path = require("path");
+const store = require("./store");
+const { uniqueSlug } = require("./catalog");
+const { httpError } = require("./validate");
+
+const TRASH_FILE = path.join(__dirname, "..", "data", "trash.json");
+
+/**
+ * createTrash({ productsStore, reviewsStore }) -> { trashStore, list, trash, restore, purge, purgeAll }
+ */
+function createTrash({ productsStore, reviewsStore, file = TRASH_FILE }) {
+    const trashStore = store.createJsonStore({
+        name: "trash",
+        file,
+        empty: [],
+        validate: store.arrayOfRecords()
+    });
+
+    // newest first
+    async function list() {
+        const entries = await trashStore.read();
+        return [...entries].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    // resolves with the product's reviews as now stored (the put-back ones merged in)
+    async function putBackReviews(id, reviews) {
+        if (!reviews.length) return (await reviewsStore.read())[id] || [];
+        return reviewsStore.update(all => {
+            all[id] = [...reviews, ...(all[id] || [])];
+            return all[id];
+        });
+    }
+
+    /**
+     * Move product `id` and its reviews to the trash. Resolves with the entry; 404 when there
+     * is no such product.
+     */
+    async function trash(id, by) {
+        const product = await productsStore.update(list => {
+            const idx = list.findIndex(p => p.id === id);
+            if (idx === -1) throw httpError(404, "Not found");
+            return list.splice(idx, 1)[0];
+        });
+        let reviews = null;
+        try {
+            reviews = await reviewsStore.update(all => {
+                const taken = all[id] || [];
+                delete all[id];
+                return taken;
+            });
+            const entry = { id, product, reviews, deletedAt: new Date().toISOString(), deletedBy: by || null };
+            await trashStore.update(list => {
+                list.push(entry);
+            });
+            return entry;
+        } catch (err) {
+            if (reviews) await putBackReviews(id, reviews).catch(e => console.error("trash rollback error", id, e.message));
+            await productsStore.update(list => { list.push(product); }).catch(e => console.error("trash rollback error", id, e.message));
+            throw err;
+        }
+    }
+
+    /**
+     * Put a trashed product and its reviews back. If its slug was taken in the meantime it
+     * gets a new one. Resolves with { product, reviews } — all its reviews now stored.
+     */
+    async function restore(id) {
+        const entry = await trashStore.update(list => {
+            const idx = list.findIndex(e => e.id === id);
+            if (idx === -1) throw httpError(404, "Not in the trash");
+            return list.splice(idx, 1)[0];
+        });
+        let product = null;
+        try {
+            product = await productsStore.update(list => {
+                if (list.some(p => p.id === id)) throw httpError(409, "A product with this id already exists");
+                const p = { ...entry.product };
+                const taken = list.some(o => o.slug === p.slug || (o.oldSlugs || []).includes(p.slug));
+                if (!p.slug || taken) p.slug = uniqueSlug(p.name, list, p.id);
+                list.push(p);
+                return p;
+            });
+            const reviews = await putBackReviews(id, entry.reviews || []);
+            return { product, reviews };
+        } catch (err) {
+            if (product) await productsStore.update(list => {
+                const idx = list.findIndex(p => p.id === id);
+                if (idx !== -1) list.splice(idx, 1);
+            }).catch(e => console.error("trash rollback error", id, e.message));
+            await trashStore.update(list => { list.push(entry); }).catch(e => console.error("trash rollback error", id, e.message));
+            throw err;
+        }
+    }
+
+    /**
+     * Drop the entry for good. Resolves with it; removing the files is the caller's job.
+     */
+    async function purge(id) {
+        return trashStore.update(list => {
+            const idx = list.findIndex(e => e.id === id);
+            if (idx === -1) throw httpError(404, "Not in the trash");
+            return list.splice(idx, 1)[0];
+        });
+    }
+
+    /** Empty the trash; resolves with the entries removed */
+    async function purgeAll() {
+        return trashStore.update(list => list.splice(0, list.length));
+    }
+
+    return { trashStore, list, trash, restore, purge, purgeAll };
+}
+
+module.exports = {
+    createTrash
+};
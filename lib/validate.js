@@ -0,0 +1,241 @@
+/**
+ * lib/validate.js
+ *
+ * Request schemas and the API's one error format.
+ *
+ * Every error response is
+ *
+ *   { error: "Human readable message", code: "UPPER_SNAKE_CODE", fields?: { field: message } }
+ *
+ * `error` is what the pages show; `code` is stable for scripts (see CODES). Expected errors are
+ * plain Errors carrying { status, code?, fields? } — httpError() makes one, and errors without a
+ * code get the default for their status. Anything without a status is a bug: the client gets a
+ * 500 INTERNAL_ERROR and the details stay in the server log.
+ *
+ * Schemas are plain objects of rules, checked by the validate() middleware:
+ *
+ *   validate({ params: { id: v.id() }, body: { rating: v.int({ min: 1, max: 5, required: true }) } })
+ *
+ * Values from forms and multipart bodies arrive as text, so int / number / boolean rules accept
+ * their text form. The checked body replaces req.body and only holds the keys the schema names.
+ * Deep checks (option groups, album items ...) stay with the module that owns the data.
+ */
+
+// default code for each status
+const CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    415: "UNSUPPORTED_MEDIA_TYPE",
+    422: "UNPROCESSABLE",
+    429: "RATE_LIMITED",
+    500: "INTERNAL_ERROR",
+    503: "UNAVAILABLE",
+    507: "QUOTA_EXCEEDED"
+};
+
+const ID = /^[A-Za-z0-9_-]{1,100}$/;
+
+function httpError(status, message, { code, fields } = {}) {
+    return Object.assign(new Error(message), { status, ...(code ? { code } : {}), ...(fields ? { fields } : {}) });
+}
+
+/* ----------------- ERROR FORMAT ----------------- */
+// errors from express.json / urlencoded (body-parser sets err.type)
+const BODY_ERRORS = {
+    "entity.parse.failed": [400, "INVALID_JSON", "The request body is not valid JSON"],
+    "entity.too.large": [413, "PAYLOAD_TOO_LARGE", "The request body is too large"],
+    "encoding.unsupported": [415, "UNSUPPORTED_MEDIA_TYPE", "Unsupported body encoding"],
+    "charset.unsupported": [415, "UNSUPPORTED_MEDIA_TYPE", "Unsupported body charset"],
+    "parameters.too.many": [413, "PAYLOAD_TOO_LARGE", "Too many form fields"]
+};
+
+/**
+ * The { status, body } to answer with for `err`. Only errors with a status are shown as they are.
+ */
+function errorResponse(err) {
+    const known = err && BODY_ERRORS[err.type];
+    if (known) return { status: known[0], body: { error: known[2], code: known[1] } };
+    if (!err || !err.status || err.status >= 500 && err.status !== 503 && err.status !== 507) {
+        return { status: (err && err.status) || 500, body: { error: "Something went wrong on our side, please try again", code: "INTERNAL_ERROR" } };
+    }
+    const status = err.status;
+    // fs / system error codes (ENOENT ...) are not ours to show
+    const code = typeof err.code === "string" && /^[A-Z][A-Z0-9_]+$/.test(err.code) && !/^E[A-Z]+$/.test(err.code)
+        ? err.code
+        : (err.fields || err.field ? "VALIDATION_FAILED" : CODES[status] || "BAD_REQUEST");
+    const fields = err.fields || (err.field ? { [err.field]: err.message } : null);
+    return { status, body: { error: err.message, code, ...(fields ? { fields } : {}) } };
+}
+
+/**
+ * Turn an upload failure (multer limits, a malformed multipart body, a file filter refusal)
+ * into a 4xx. Disk errors stay 5xx.
+ */
+function uploadError(err) {
+    if (err.status) return err;
+    if (err.name === "MulterError") {
+        const field = err.field ? ` (${err.field})` : "";
+        switch (err.code) {
+            case "LIMIT_FILE_SIZE": return httpError(413, `A file is too large${field}`, { code: "FILE_TOO_LARGE" });
+            case "LIMIT_FILE_COUNT": return httpError(400, "Too many files", { code: "TOO_MANY_FILES" });
+            case "LIMIT_UNEXPECTED_FILE": return httpError(400, `Unexpected file field${field}`, { code: "UNEXPECTED_FILE" });
+            default: return httpError(413, `Upload refused: ${err.message}${field}`, { code: "PAYLOAD_TOO_LARGE" });
+        }
+    }
+    if (err.code === "ENOSPC") return httpError(507, "The disk is full", { code: "QUOTA_EXCEEDED" });
+    if (typeof err.code === "string" && /^E[A-Z]+$/.test(err.code)) return err; // other fs errors: our fault
+    return httpError(400, `Upload failed: ${err.message}`, { code: "INVALID_UPLOAD" });
+}
+
+/**
+ * Turn a sharp failure on an uploaded file into a 4xx naming the file. Other errors pass through.
+ */
+function imageError(err, name) {
+    if (err.status) return err;
+    const msg = String(err.message || "");
+    const label = name ? `${name}: ` : "";
+    if (/unsupported image format/i.test(msg)) {
+        return httpError(415, `${label}not a supported image (use JPEG, PNG, WebP or GIF)`, { code: "UNSUPPORTED_IMAGE" });
+    }
+    if (/pixel limit/i.test(msg)) return httpError(413, `${label}the image has too many pixels`, { code: "IMAGE_TOO_LARGE" });
+    if (/^(Input (buffer|file)|VipsJpeg|VipsPng|[a-z]+load|.*(corrupt|premature end|bad seek|truncated))/i.test(msg)) {
+        return httpError(422, `${label}the image is damaged or unreadable`, { code: "INVALID_IMAGE" });
+    }
+    return err;
+}
+
+/* ----------------- RULES ----------------- */
+const string = (opts = {}) => ({ type: "string", ...opts });
+const int = (opts = {}) => ({ type: "int", ...opts });
+const number = (opts = {}) => ({ type: "number", ...opts });
+const boolean = (opts = {}) => ({ type: "boolean", ...opts });
+const oneOf = (values, opts = {}) => ({ type: "oneOf", values, ...opts });
+const id = (opts = {}) => ({ type: "string", pattern: ID, patternMessage: "is not a valid id", max: 100, ...opts });
+const array = (opts = {}) => ({ type: "array", ...opts });
+const object = (opts = {}) => ({ type: "object", ...opts });
+const any = (opts = {}) => ({ type: "any", ...opts });
+
+const isText = x => typeof x === "string";
+
+// -> [value] or [undefined, message]
+function checkRule(rule, raw, label) {
+    switch (rule.type) {
+        case "string": {
+            if (typeof raw !== "string" && typeof raw !== "number") return [undefined, `${label} must be text`];
+            const value = rule.trim === false ? String(raw) : String(raw).trim();
+            if (rule.required && !value) return [undefined, `${label} is required`];
+            if (rule.min && value.length < rule.min) return [undefined, `${label} must be at least ${rule.min} characters`];
+            if (rule.max !== undefined && value.length > rule.max) return [undefined, `${label} must be at most ${rule.max} characters`];
+            if (rule.pattern && value && !rule.pattern.test(value)) return [undefined, `${label} ${rule.patternMessage || "is not valid"}`];
+            return [value];
+        }
+        case "int":
+        case "number": {
+            const n = isText(raw) && raw.trim() !== "" ? Number(raw) : raw;
+            const ok = typeof n === "number" && Number.isFinite(n) && (rule.type === "number" || Number.isInteger(n));
+            if (ok && (rule.min === undefined || n >= rule.min) && (rule.max === undefined || n <= rule.max)) return [n];
+            let range = "";
+            if (rule.min !== undefined && rule.max !== undefined) range = ` from ${rule.min} to ${rule.max}`;
+            else if (rule.min !== undefined) range = ` of at least ${rule.min}`;
+            else if (rule.max !== undefined) range = ` of at most ${rule.max}`;
+            return [undefined, `${label} must be ${rule.type === "int" ? "a whole number" : "a number"}${range}`];
+        }
+        case "boolean": {
+            if (typeof raw === "boolean") return [raw];
+            if (["true", "1", "on"].includes(String(raw))) return [true];
+            if (["false", "0", "off", ""].includes(String(raw))) return [false];
+            return [undefined, `${label} must be true or false`];
+        }
+        case "oneOf": {
+            const value = isText(raw) ? raw.trim() : raw;
+            if (!rule.values.includes(value)) return [undefined, `${label} must be one of: ${rule.values.join(", ")}`];
+            return [value];
+        }
+        case "array": {
+            if (!Array.isArray(raw)) return [undefined, `${label} must be a list`];
+            if (rule.maxItems !== undefined && raw.length > rule.maxItems) return [undefined, `${label} can have at most ${rule.maxItems} entries`];
+            if (!rule.items) return [raw];
+            const out = [];
+            for (let i = 0; i < raw.length; i++) {
+                const [value, error] = checkRule(rule.items, raw[i], `${label}[${i}]`);
+                if (error) return [undefined, error];
+                out.push(value);
+            }
+            return [out];
+        }
+        case "object": {
+            if (!raw || typeof raw !== "object" || Array.isArray(raw)) return [undefined, `${label} must be an object`];
+            return [raw];
+        }
+        default:
+            return [raw];
+    }
+}
+
+/**
+ * Check `input` against `schema`. Returns the checked values (declared keys only; optional keys
+ * that were not sent are left out) or throws a 400 VALIDATION_FAILED with a fields map.
+ */
+function check(schema, input) {
+    const source = input && typeof input === "object" ? input : {};
+    const values = {};
+    const fields = {};
+    for (const [key, rule] of Object.entries(schema)) {
+        const raw = source[key];
+        const missing = raw === undefined || (raw === "" && rule.type !== "string" && rule.type !== "any");
+        if (raw === null && rule.nullable) { values[key] = null; continue; }
+        if (missing || raw === null) {
+            if (rule.required) fields[key] = `${key} is required`;
+            else if (rule.default !== undefined) values[key] = rule.default;
+            continue;
+        }
+        const [value, error] = checkRule(rule, raw, key);
+        if (error) fields[key] = error;
+        else values[key] = value;
+    }
+    if (Object.keys(fields).length) {
+        throw httpError(400, Object.values(fields)[0], { code: "VALIDATION_FAILED", fields });
+    }
+    return values;
+}
+
+/**
+ * Middleware checking { params, query, body } schemas. req.body is replaced by the checked
+ * values; params and query get the checked values written over the raw ones.
+ */
+function validate({ params, query, body } = {}) {
+    return (req, res, next) => {
+        try {
+            if (params) Object.assign(req.params, check(params, req.params));
+            if (query) Object.assign(req.query, check(query, req.query));
+            if (body) req.body = check(body, req.body);
+            next();
+        } catch (err) {
+            const { status, body: payload } = errorResponse(err);
+            res.status(status).json(payload);
+        }
+    };
+}
+
+module.exports = {
+    CODES,
+    httpError,
+    errorResponse,
+    uploadError,
+    imageError,
+    check,
+    validate,
+    string,
+    int,
+    number,
+    boolean,
+    oneOf,
+    id,
+    array,
+    object,
+    any
+};
@@ -0,0 +1,55 @@
+/*
+  Shared admin session helper for the admin pages.
+  Include with <script src="/js/admin-session.js"></script> before the page script.
+
+   - AdminSession.ready   -> Promise<user>; redirects to /login.html when not logged in
+   - AdminSession.fetch() -> fetch() that adds the CSRF header and bounces to login on 401
+   - AdminSession.csrf    -> CSRF token (for XHR uploads)
+   - AdminSession.hasRole('catalog' | 'reviews' | 'owner')
+   - AdminSession.logout()
+*/
+(function(){
+    const state = { user: null, csrf: null };
+
+    function goToLogin(){
+        const next = location.pathname + location.search;
+        location.href = '/login.html?next=' + encodeURIComponent(next);
+        return new Promise(()=>{}); // page is navigating away
+    }
+
+    const ready = fetch('/admin/session', { cache: 'no-store', credentials: 'same-origin' })
+        .then(res => {
+            if(res.status === 401) return goToLogin();
+            if(!res.ok) throw new Error('session check failed: ' + res.status);
+            return res.json();
+        })
+        .then(j => { state.user = j.user; state.csrf = j.csrfToken; return j.user; });
+
+    async function adminFetch(url, opts = {}){
+        await ready;
+        const headers = new Headers(opts.headers || {});
+        headers.set('X-CSRF-Token', state.csrf);
+        const res = await fetch(url, Object.assign({}, opts, { headers, credentials: 'same-origin' }));
+        if(res.status === 401) return goToLogin();
+        return res;
+    }
+
+    function hasRole(role){
+        return !!state.user && (state.user.role === 'owner' || state.user.role === role);
+    }
+
+    async function logout(){
+        try { await fetch('/admin/logout', { method: 'POST', credentials: 'same-origin' }); } catch(e){}
+        location.href = '/login.html';
+    }
+
+    window.AdminSession = {
+        ready,
+        fetch: adminFetch,
+        hasRole,
+        logout,
+        goToLogin,
+        get user(){ return state.user; },
+        get csrf(){ return state.csrf; }
+    };
+})();
@@ -0,0 +1,95 @@
+/**
+ * scripts/notify-sink.js
+ *
+ * Local stand-in for the notification channels (lib/notify.js): a webhook receiver and a
+ * bare SMTP server that print whatever they are sent. Nothing is delivered anywhere.
+ *
+ *   npm run notify-sink            # webhook on :4010, SMTP on :2525
+ *   SINK_FAIL=3 npm run notify-sink   # answer the first 3 webhooks / mails with errors (retry testing)
+ *
+ * then start the site with
+ *   NOTIFY_WEBHOOK_URLS=http://localhost:4010/hook SMTP_HOST=localhost SMTP_PORT=2525 \
+ *   SMTP_FROM=shop@localhost NOTIFY_EMAIL_TO=owner@localhost npm start
+ */
+
+const http = require("http");
+const net = require("net");
+
+const WEBHOOK_PORT = Number(process.env.SINK_WEBHOOK_PORT) || 4010;
+const SMTP_PORT = Number(process.env.SINK_SMTP_PORT) || 2525;
+let failuresLeft = Number(process.env.SINK_FAIL) || 0;
+
+function stamp() {
+    return new Date().toISOString().slice(11, 19);
+}
+
+/* ----------------- WEBHOOK ----------------- */
+http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`[${stamp()}] webhook ${req.method} ${req.url} -> 503 (failing on purpose, ${failuresLeft} left)`);
+            res.writeHead(503).end("try again later");
+            return;
+        }
+        console.log(`[${stamp()}] webhook ${req.method} ${req.url} ${req.headers["x-dorys-event"] || ""}`);
+        if (req.headers["x-dorys-signature"]) console.log(`  signature: ${req.headers["x-dorys-signature"]}`);
+        try { console.log(JSON.stringify(JSON.parse(body), null, 2)); } catch { console.log(body); }
+        res.writeHead(204).end();
+    });
+}).listen(WEBHOOK_PORT, () => console.log(`webhook sink on http://localhost:${WEBHOOK_PORT}/`));
+
+/* ----------------- SMTP ----------------- */
+net.createServer(socket => {
+    let buffer = "";
+    let inData = false;
+    let data = [];
+    let envelope = { from: null, to: [] };
+    const reply = line => socket.write(line + "\r\n");
+
+    reply("220 localhost notify-sink ready");
+    socket.on("data", chunk => {
+        buffer += chunk.toString("utf8");
+        let nl;
+        while ((nl = buffer.indexOf("\r\n")) !== -1) {
+            const line = buffer.slice(0, nl);
+            buffer = buffer.slice(nl + 2);
+            if (inData) {
+                if (line !== ".") { data.push(line.startsWith("..") ? line.slice(1) : line); continue; }
+                inData = false;
+                if (failuresLeft > 0) {
+                    failuresLeft--;
+                    reply(`451 failing on purpose (${failuresLeft} left)`);
+                    continue;
+                }
+                printMail(envelope, data);
+                reply("250 queued");
+                continue;
+            }
+            const verb = line.slice(0, 4).toUpperCase();
+            if (verb === "EHLO" || verb === "HELO") reply("250-localhost\r\n250 AUTH PLAIN LOGIN");
+            else if (verb === "AUTH") reply("235 ok");
+            else if (verb === "MAIL") { envelope = { from: line.slice(10), to: [] }; reply("250 ok"); }
+            else if (verb === "RCPT") { envelope.to.push(line.slice(8)); reply("250 ok"); }
+            else if (verb === "DATA") { inData = true; data = []; reply("354 end with ."); }
+            else if (verb === "QUIT") { reply("221 bye"); socket.end(); }
+            else if (verb === "RSET" || verb === "NOOP") reply("250 ok");
+            else reply("502 not implemented");
+        }
+    });
+    socket.on("error", () => {});
+}).listen(SMTP_PORT, () => console.log(`SMTP sink on localhost:${SMTP_PORT}`));
+
+function printMail(envelope, lines) {
+    const blank = lines.indexOf("");
+    const headers = lines.slice(0, blank);
+    const base64 = headers.some(h => /^content-transfer-encoding:\s*base64/i.test(h));
+    let body = lines.slice(blank + 1).join(base64 ? "" : "\n");
+    if (base64) body = Buffer.from(body, "base64").toString("utf8");
+    const subject = (headers.find(h => /^subject:/i.test(h)) || "").slice(9)
+        .replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (m, b64) => Buffer.from(b64, "base64").toString("utf8"));
+    console.log(`[${stamp()}] mail from ${envelope.from} to ${envelope.to.join(", ")}`);
+    console.log(`  Subject: ${subject}\n${body.replace(/\r/g, "").replace(/^/gm, "  ")}`);
+}
@@ -3,6 +3,27 @@
  *
  * - preserves original handlers (images, uploads, products)
  * - adds robust reviews-with-image support (public + admin)
+ * - admin accounts, sessions, roles & CSRF (see lib/auth.js)
+ * - enquiry / order capture + admin order board (see lib/orders.js)
+ * - responsive image variants (thumb/card/full in AVIF/WebP/JPEG, see lib/images.js)
+ * - products / reviews / orders files go through the locked, atomic JSON store (see lib/store.js)
+ * - catalog search, filters, sorting & pagination on /products/list (see lib/catalog.js)
+ * - rating aggregates (average, count, star histogram) kept server-side (see lib/ratings.js)
+ * - media library: index of every stored image with usage, orphans & duplicates (see lib/media.js)
+ * - storage accounting by area, upload quota and a tmp_uploads sweeper (see lib/storage.js)
+ * - full-site backup archive (data + media, manifest with checksums) and dry-run restore (see lib/backup.js)
+ * - audit log of admin actions with before / after snapshots (see lib/audit.js)
+ * - product availability: sold out / seasonal, daily capacity, lead time, weekdays, publish windows (see lib/availability.js)
+ * - server-rendered product pages (/product/<slug>) with OpenGraph + JSON-LD, sitemap.xml, robots.txt (see lib/pages.js)
+ * - product option groups (weight, flavour, eggless, message) priced on the server (see lib/options.js)
+ * - notification outbox: new reviews / enquiries / sold out by webhook + SMTP with retries (see lib/notify.js)
+ * - non-destructive image editor: crop, rotate, focal point, logo watermark (see lib/editor.js)
+ * - gallery albums with captions, alt text, covers and manual order for the homepage (see lib/albums.js)
+ * - promotions: featured products, discounts (automatic or by code) and seasonal collections (see lib/promotions.js)
+ * - review moderation: owner replies, hidden reviews, helpful votes and abuse reports (see lib/reviews.js)
+ * - request schemas, one { error, code, fields } error format (see lib/validate.js) and per-IP limits on public routes (see lib/ratelimit.js)
+ * - catalog export (CSV / JSON) and bulk import with images from a ZIP, previewed before it is applied (see lib/importer.js)
+ * - deleted products go to a trash with their reviews, to be restored or purged (see lib/trash.js)
  *
  */
 
@@ -14,13 +35,66 @@ const multer = require("multer");
 const sharp = require("sharp");
 const { v4: uuidv4 } = require("uuid");
 const cors = require("cors");
+const auth = require("./lib/auth");
+const orders = require("./lib/orders");
+const images = require("./lib/images");
+const store = require("./lib/store");
+const catalog = require("./lib/catalog");
+const { createRatings, emptySummary } = require("./lib/ratings");
+const media = require("./lib/media");
+const storage = require("./lib/storage");
+const { createBackups } = require("./lib/backup");
+const audit = require("./lib/audit");
+const pages = require("./lib/pages");
+const availability = require("./lib/availability");
+const productOptions = require("./lib/options");
+const notify = require("./lib/notify");
+const editor = require("./lib/editor");
+const albums = require("./lib/albums");
+const promotions = require("./lib/promotions");
+const moderation = require("./lib/reviews");
+const v = require("./lib/validate");
+const { createLimiter } = require("./lib/ratelimit");
+const importer = require("./lib/importer");
+const { createTrash } = require("./lib/trash");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 /* ----------------- CONFIG ----------------- */
-// disk size in GB (user provided)
-const DISK_SIZE_GB = 5;
+// disk size in GB (user provided) — size of the volume the site runs on
+const DISK_SIZE_GB = Number(process.env.DISK_SIZE_GB) || 5;
+// uploads are refused once everything we store reaches this (default 90% of the disk)
+const UPLOAD_QUOTA_GB = Number(process.env.UPLOAD_QUOTA_GB) || DISK_SIZE_GB * 0.9;
+// multer temp files older than this are swept from TMP_DIR
+const TMP_MAX_AGE_MINUTES = Number(process.env.TMP_MAX_AGE_MINUTES) || 60;
+// public address used in canonical links, og:url and the sitemap (defaults to the request's host)
+const SITE_URL = String(process.env.SITE_URL || "").replace(/\/+$/, "");
+// notifications: webhook URLs (comma separated) and / or SMTP email to NOTIFY_EMAIL_TO (comma separated)
+const NOTIFY_WEBHOOK_URLS = String(process.env.NOTIFY_WEBHOOK_URLS || "").split(",").map(s => s.trim()).filter(Boolean);
+const NOTIFY_EMAIL_TO = String(process.env.NOTIFY_EMAIL_TO || "").split(",").map(s => s.trim()).filter(Boolean);
+const SMTP = process.env.SMTP_HOST ? {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : undefined, // default: TLS on port 465 only
+    user: process.env.SMTP_USER || "",
+    pass: process.env.SMTP_PASS || "",
+    from: process.env.SMTP_FROM || process.env.SMTP_USER || ""
+} : null;
+// largest gallery / product image upload, in MB
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 25;
+// largest bulk import: the product file, and the ZIP of images (also the limit on its unpacked size), in MB
+const IMPORT_MAX_MB = Number(process.env.IMPORT_MAX_MB) || 200;
+// per-IP limits on the public endpoints, per RATE_LIMIT_WINDOW_MINUTES (set one to 0 to turn it off)
+const RATE_LIMIT_WINDOW_MINUTES = Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15;
+const envCount = (name, fallback) => process.env[name] === undefined ? fallback : Number(process.env[name]) || 0;
+const RATE_LIMITS = {
+    reviews: envCount("RATE_LIMIT_REVIEWS", 5),            // review submissions
+    reviewPhotos: envCount("RATE_LIMIT_REVIEW_PHOTOS", 10), // POST /reviews/images
+    reactions: envCount("RATE_LIMIT_REACTIONS", 30),        // helpful votes + reports
+    enquiries: envCount("RATE_LIMIT_ENQUIRIES", 10),        // POST /orders
+    pricing: envCount("RATE_LIMIT_PRICING", 300)            // POST /products/:id/price
+};
 
 const ROOT_DIR = __dirname;
 const PUBLIC_DIR = path.join(ROOT_DIR, "public");
@@ -40,41 +114,64 @@ const UPLOADS_DIR = path.join(PUBLIC_DIR, "uploads", "reviews");
 const ALLOWED = /\.(jpg|jpeg|png|gif|webp|svg|heic|heif)$/i;
 
 /* ----------------- MIDDLEWARE ----------------- */
+app.set("trust proxy", 1); // Render terminates TLS in front of us; needed for req.secure / req.ip
 app.use(cors());
-app.use(express.json({ limit: "10mb" })); // allow reasonable JSON payloads
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: "1mb" })); // the largest JSON bodies are album lists; files go multipart
+app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 app.use(express.static(PUBLIC_DIR));
 app.use("/images", express.static(IMAGES_DIR));
 // serve uploaded files (review images etc.)
 app.use("/uploads", express.static(path.join(PUBLIC_DIR, "uploads")));
 
-function requireAdmin(req, res, next) {
-    const cookie = req.headers.cookie || "";
-    if (cookie.includes("admin=4321")) return next();
-    return res.status(403).json({ error: "Admin authentication required" });
-}
+const { requireAdmin } = auth;
+auth.seedOwnerFromEnv();
 
-/* ----------------- HELPERS: reviews file ----------------- */
-function readReviewsFileSafe(){
-    try {
-        if(!fs.existsSync(REVIEWS_FILE)) return {};
-        return JSON.parse(fs.readFileSync(REVIEWS_FILE, 'utf8') || '{}');
-    } catch(e){
-        console.error('readReviewsFile error', e);
-        return {};
-    }
+// focal points set in the image editor travel with every image's variants
+images.setFocalSource(rel => editor.focalFor(rel));
+
+/* ----------------- DATA STORES (products.json / reviews.json) ----------------- */
+const productsStore = store.createJsonStore({
+    name: "products",
+    file: PRODUCTS_JSON,
+    empty: [],
+    validate: store.arrayOfRecords("name")
+});
+// reviews grouped by product id: { productId: [review, ...] }
+const reviewsStore = store.createJsonStore({
+    name: "reviews",
+    file: REVIEWS_FILE,
+    empty: {},
+    validate: store.mapOfRecordArrays
+});
+// per-product rating summaries over approved reviews, refreshed on approve / reject
+const ratings = createRatings(reviewsStore);
+// deleted products and their reviews, until restored or purged
+const trash = createTrash({ productsStore, reviewsStore });
+
+// Respond in the API's error format (lib/validate.js): expected failures (4xx, corrupt data file 503 —
+// the store logs those itself) keep their message; anything else is logged and reported as a 500
+function sendError(res, err, label) {
+    const { status, body } = v.errorResponse(err);
+    if (body.code === "INTERNAL_ERROR") console.error(label, err);
+    res.status(status).json(body);
 }
-function writeReviewsFileSafe(obj){
-    try {
-        fs.mkdirSync(path.dirname(REVIEWS_FILE), { recursive: true });
-        fs.writeFileSync(REVIEWS_FILE, JSON.stringify(obj, null, 2), 'utf8');
-        return true;
-    } catch(e){
-        console.error('writeReviewsFile error', e);
-        return false;
-    }
+
+const { httpError } = v;
+
+// run a multer middleware; its failures (size limits, broken multipart bodies) become 4xx answers
+function acceptUpload(middleware) {
+    return (req, res, next) => middleware(req, res, err => err ? sendError(res, v.uploadError(err), "upload error") : next());
 }
 
+const RATE_WINDOW_MS = RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+const rateLimit = {
+    reviews: createLimiter({ name: "reviews", max: RATE_LIMITS.reviews, windowMs: RATE_WINDOW_MS }),
+    reviewPhotos: createLimiter({ name: "photo uploads", max: RATE_LIMITS.reviewPhotos, windowMs: RATE_WINDOW_MS }),
+    reactions: createLimiter({ name: "votes and reports", max: RATE_LIMITS.reactions, windowMs: RATE_WINDOW_MS }),
+    enquiries: createLimiter({ name: "enquiries", max: RATE_LIMITS.enquiries, windowMs: RATE_WINDOW_MS }),
+    pricing: createLimiter({ name: "price checks", max: RATE_LIMITS.pricing, windowMs: RATE_WINDOW_MS })
+};
+
 /* ----------------- INIT FOLDERS (ensure required dirs exist) ----------------- */
 async function ensureFolders() {
     // existing folders used by your app
@@ -97,8 +194,50 @@ async function ensureFolders() {
     }
     // uploads for reviews
     await fsp.mkdir(UPLOADS_DIR, { recursive: true });
+    // responsive variants of gallery / product images
+    await fsp.mkdir(images.VARIANTS_DIR, { recursive: true });
 }
-ensureFolders().catch(err => console.error("ensureFolders error", err));
+ensureFolders()
+    .then(() => assignMissingSlugs())
+    .then(() => media.scan())
+    .catch(err => console.error("ensureFolders / media scan error", err));
+
+/* ----------------- STORAGE ACCOUNTING ----------------- */
+const diskMeter = storage.createMeter({
+    areas: {
+        gallery: { dirs: [IMAGES_DIR], exclude: [PRODUCTS_IMG_DIR] },
+        products: { dirs: [PRODUCTS_IMG_DIR] },
+        variants: { dirs: [images.VARIANTS_DIR] },
+        reviews: { dirs: [UPLOADS_DIR] },
+        tmp: { dirs: [TMP_DIR] },
+        data: { dirs: [REVIEWS_DATA_DIR, DATA_DIR] }
+    },
+    totalBytes: DISK_SIZE_GB * storage.GB,
+    quotaBytes: UPLOAD_QUOTA_GB * storage.GB
+});
+// refuses multipart uploads once the quota is reached; other requests pass straight through
+const quotaGuard = diskMeter.guard();
+function uploadQuota(req, res, next) {
+    if (!req.is("multipart/form-data")) return next();
+    return quotaGuard(req, res, next);
+}
+
+storage.startSweeper(TMP_DIR, {
+    maxAgeMs: TMP_MAX_AGE_MINUTES * 60 * 1000,
+    everyMs: 15 * 60 * 1000,
+    onSweep: () => diskMeter.invalidate()
+});
+
+/* ----------------- NOTIFICATIONS ----------------- */
+const notifier = notify.createNotifier({
+    file: path.join(ROOT_DIR, "data", "outbox.json"),
+    webhooks: NOTIFY_WEBHOOK_URLS,
+    webhookSecret: process.env.NOTIFY_WEBHOOK_SECRET || "",
+    smtp: SMTP,
+    emailTo: NOTIFY_EMAIL_TO,
+    siteUrl: SITE_URL
+});
+notifier.start();
 
 /* ----------------- MULTER CONFIG ----------------- */
 // for general uploads (existing handlers) -> uses TMP_DIR
@@ -106,29 +245,30 @@ const upload = multer({
     storage: multer.diskStorage({
         destination: TMP_DIR,
         filename: (req, f, cb) => cb(null, Date.now() + "-" + f.originalname)
-    })
+    }),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 20, fields: 20 }
 });
 const uploadProducts = multer({
     storage: multer.diskStorage({
         destination: TMP_DIR,
         filename: (req, f, cb) => cb(null, Date.now() + "-" + f.originalname)
-    })
+    }),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1, fields: 40, fieldSize: 256 * 1024 }
 });
 
-// for review image uploads: store directly into UPLOADS_DIR with safe names
+// review photos land in TMP_DIR first; saveReviewImage() re-encodes them into UPLOADS_DIR
 const reviewStorage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, UPLOADS_DIR),
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname).toLowerCase();
-        const safeName = `${Date.now().toString(36)}-${uuidv4().slice(0,8)}${ext}`;
-        cb(null, safeName);
-    }
+    destination: TMP_DIR,
+    filename: (req, file, cb) => cb(null, `review-${Date.now().toString(36)}-${uuidv4().slice(0,8)}`)
 });
 const uploadReviews = multer({
     storage: reviewStorage,
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB per image
+    // 5MB per image; the text fields of a review are small
+    limits: { fileSize: 5 * 1024 * 1024, files: 3, fields: 10, fieldSize: 16 * 1024 },
     fileFilter: (req, file, cb) => {
-        if (!file.mimetype.startsWith('image/')) return cb(new Error('Only image files are allowed'), false);
+        if (!file.mimetype.startsWith('image/')) {
+            return cb(httpError(415, `${file.originalname}: only image files are allowed`, { code: 'UNSUPPORTED_MEDIA_TYPE' }), false);
+        }
         cb(null, true);
     }
 });
@@ -182,7 +322,68 @@ app.get("/images/list", async (req, res) => {
         detailed.sort((a, b) => b.mtime - a.mtime);
         res.json(detailed.map(i => i.file));
     } catch (err) {
-        res.status(500).json({ error: "Cannot read images" });
+        sendError(res, err, "images list error");
+    }
+});
+
+// top-level gallery images, newest first, with their responsive variants
+async function galleryImages() {
+    const files = (await fsp.readdir(IMAGES_DIR)).filter(f => ALLOWED.test(f));
+    const detailed = await Promise.all(
+        files.map(async file => {
+            const s = await fsp.stat(path.join(IMAGES_DIR, file));
+            return {
+                file,
+                url: "/images/" + encodeURIComponent(file),
+                mtime: s.mtime,
+                variants: await images.describeVariants(file)
+            };
+        })
+    );
+    return detailed.sort((a, b) => b.mtime - a.mtime);
+}
+
+/**
+ * GET /images/gallery
+ * Same files as /images/list (top-level, newest first) with their responsive variants:
+ * [{ file, url, mtime, variants: { thumb, card, full, srcset } | null }]
+ */
+app.get("/images/gallery", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        res.json(await galleryImages());
+    } catch (err) {
+        sendError(res, err, "gallery error");
+    }
+});
+
+/**
+ * GET /images/albums
+ * Public: the homepage gallery by album, in the admin's order —
+ * { albums: [{ id, slug, title, description, cover, items: [{ file, url, caption, alt, variants }] }],
+ *   unsorted: [gallery images in no album, newest first] }
+ * Albums with no photos left are skipped; `cover` is one of the album's items.
+ */
+app.get("/images/albums", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const [list, gallery] = await Promise.all([albums.readAlbums(), galleryImages()]);
+        const byFile = new Map(gallery.map(g => [g.file, g]));
+        const grouped = new Set();
+        const out = [];
+        for (const a of list) {
+            const items = a.items.filter(i => byFile.has(i.file)).map(i => {
+                const g = byFile.get(i.file);
+                grouped.add(i.file);
+                return { file: i.file, url: g.url, caption: i.caption, alt: i.alt, variants: g.variants };
+            });
+            if (!items.length) continue;
+            const cover = items.find(i => i.file === a.cover) || items[0];
+            out.push({ id: a.id, slug: a.slug, title: a.title, description: a.description, cover, items });
+        }
+        res.json({ albums: out, unsorted: gallery.filter(g => !grouped.has(g.file)) });
+    } catch (err) {
+        sendError(res, err, "albums error");
     }
 });
 
@@ -190,44 +391,124 @@ app.get("/images/list", async (req, res) => {
  * GET /images/history
  * Returns a detailed list of images (recursive) with sizes & timestamps — newest first
  */
-app.get("/images/history", requireAdmin, async (req, res) => {
+app.get("/images/history", requireAdmin("catalog"), async (req, res) => {
     try {
         const arr = await walkImages(IMAGES_DIR);
         arr.sort((a, b) => new Date(b.mtime) - new Date(a.mtime));
-        res.json(arr.slice(0, 500)); // limit to 500 entries
+        // media-library facts for each file: where it is used, dimensions, duplicates
+        const [usage, index, edited] = await Promise.all([mediaUsage(), media.readIndex(), editor.editedFiles()]);
+        const byUrl = new Map(index.map(r => [r.url, r]));
+        const dupes = new Map();
+        for (const g of media.findDuplicates(index)) for (const r of g.files) dupes.set(r.url, g.files.filter(o => o !== r).map(o => o.url));
+        res.json(arr.slice(0, 500).map(f => { // limit to 500 entries
+            const url = media.toUrl(f.file);
+            const rec = byUrl.get(url);
+            return {
+                ...f,
+                area: f.file.startsWith("products/") ? "products" : "gallery",
+                references: usage.get(url) || [],
+                width: rec ? rec.width : null,
+                height: rec ? rec.height : null,
+                duplicateOf: dupes.get(url) || [],
+                edited: edited.has(f.file)
+            };
+        }));
     } catch (err) {
-        console.error("history error", err);
-        res.status(500).json({ error: "Failed" });
+        sendError(res, err, "history error");
     }
 });
 
 /**
  * GET /admin/disk-info
- * Returns disk usage info (based on sum of files in public/images and configured disk size)
+ * Storage used by area (gallery, products, variants, reviews, tmp, data) against the configured
+ * disk size and upload quota, plus the real volume's free space when available.
+ * Add ?fresh=1 to recount instead of using the last (up to a minute old) count.
  */
-app.get("/admin/disk-info", requireAdmin, async (req, res) => {
+app.get("/admin/disk-info", requireAdmin("catalog"), v.validate({ query: { fresh: v.boolean() } }), async (req, res) => {
     try {
-        const files = await walkImages(IMAGES_DIR);
-        const usedBytes = files.reduce((s, f) => s + (f.size || 0), 0);
-        const totalBytes = Number(DISK_SIZE_GB) * 1024 * 1024 * 1024; // GB -> bytes
-        const usedPct = totalBytes > 0 ? Math.round((usedBytes / totalBytes) * 100) : 0;
-        res.json({
-            totalBytes,
-            usedBytes,
-            usedPct,
-            fileCount: files.length
-        });
+        if (req.query.fresh) await diskMeter.usage({ fresh: true });
+        res.json({ ...await diskMeter.report(), tmpSweeper: storage.sweeperStatus() });
+    } catch (err) {
+        sendError(res, err, 'disk-info error');
+    }
+});
+
+/* ----------------- IMAGE EDITOR ----------------- */
+
+/**
+ * GET /images/edit?file=<path under public/images>
+ * Admin: the image's saved edits { rotate, crop, focal, watermark }, its current and original size
+ */
+const IMAGE_REF = v.string({ required: true, max: 300 });
+
+app.get("/images/edit", requireAdmin("catalog"), v.validate({ query: { file: IMAGE_REF } }), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        res.json(await editor.describe(req.query.file));
+    } catch (err) {
+        sendError(res, err, "image edit info error");
+    }
+});
+
+/**
+ * GET /images/edit/preview?file=...&rotate=90
+ * Admin: the unedited image turned by `rotate`, as a JPEG to draw the crop box over
+ */
+app.get("/images/edit/preview", requireAdmin("catalog"), v.validate({ query: { file: IMAGE_REF, rotate: v.int() } }), async (req, res) => {
+    try {
+        const jpeg = await editor.preview(req.query.file, req.query.rotate || 0);
+        res.set("Cache-Control", "no-store");
+        res.type("jpeg").send(jpeg);
+    } catch (err) {
+        sendError(res, err, "image preview error");
+    }
+});
+
+/**
+ * POST /images/edit
+ * Admin: { file, rotate?, crop?: { x, y, width, height } | null, focal?: { x, y } | null, watermark? }
+ * (crop / focal in 0-1 fractions). Re-renders the image from its kept original; the URL stays the same.
+ */
+app.post("/images/edit", requireAdmin("catalog"), v.validate({
+    body: {
+        file: IMAGE_REF,
+        rotate: v.int(),
+        crop: v.object({ nullable: true }),
+        focal: v.object({ nullable: true }),
+        watermark: v.boolean()
+    }
+}), async (req, res) => {
+    try {
+        const { file, ...changes } = req.body;
+        const result = await editor.edit(file, changes, req.admin.username);
+        audit.record(req, "image.edit", { target: `image:${result.image.file}`, before: result.before, after: result.after });
+        diskMeter.invalidate();
+        res.json({ success: true, image: result.image, variants: await images.describeVariants(result.image.file) });
+    } catch (err) {
+        sendError(res, err, "image edit error");
+    }
+});
+
+/**
+ * POST /images/edit/revert
+ * Admin: { file } — put the original back and drop all edits
+ */
+app.post("/images/edit/revert", requireAdmin("catalog"), v.validate({ body: { file: IMAGE_REF } }), async (req, res) => {
+    try {
+        const result = await editor.revert(req.body.file);
+        audit.record(req, "image.revert", { target: `image:${result.image.file}`, before: result.before });
+        diskMeter.invalidate();
+        res.json({ success: true, image: result.image, variants: await images.describeVariants(result.image.file) });
     } catch (err) {
-        console.error('disk-info error', err);
-        res.status(500).json({ error: 'Failed' });
+        sendError(res, err, "image revert error");
     }
 });
 
 /* ----------------- UPLOAD / DELETE / PRODUCTS (existing handlers) ----------------- */
 
 /* Upload images (Sharp handles everything on server) */
-app.post("/upload", requireAdmin, upload.array("images", 20), async (req, res) => {
-    if (!req.files?.length) return res.status(400).json({ error: "No files" });
+app.post("/upload", requireAdmin("catalog"), uploadQuota, acceptUpload(upload.array("images", 20)), async (req, res) => {
+    if (!req.files?.length) return sendError(res, httpError(400, "No files", { code: "NO_FILES" }));
     const results = [];
     for (const file of req.files) {
         try {
@@ -240,31 +521,51 @@ app.post("/upload", requireAdmin, upload.array("images", 20), async (req, res) =
             const finalPath = path.join(IMAGES_DIR, finalName);
             await sharp(buffer).jpeg({ quality: 85 }).resize({ width: 1600, withoutEnlargement: true }).toFile(finalPath);
             await fsp.unlink(tmp);
-            results.push({ savedAs: finalName });
+            await images.tryGenerateVariants(finalName);
+            const indexed = await media.tryRecord(finalName, "upload");
+            results.push({
+                savedAs: finalName,
+                variants: await images.describeVariants(finalName),
+                duplicateOf: indexed ? indexed.duplicateOf : []
+            });
+            audit.record(req, "image.upload", {
+                target: `image:${finalName}`,
+                after: { file: finalName, originalName: file.originalname, ...(indexed ? { size: indexed.record.size, hash: indexed.record.hash } : {}) }
+            });
         } catch (err) {
-            console.error('upload error', err);
-            results.push({ error: err.message });
+            fsp.unlink(file.path).catch(()=>{});
+            const { status, body } = v.errorResponse(v.imageError(err, file.originalname));
+            if (body.code === "INTERNAL_ERROR") console.error('upload error', err);
+            results.push({ file: file.originalname, status, ...body });
         }
     }
+    // when nothing could be saved, answer with the (first) file's error
+    const failed = results.filter(r => r.error);
+    if (failed.length === results.length) {
+        const { file, status, ...body } = failed[0];
+        return res.status(status).json({ ...body, uploaded: results });
+    }
     res.json({ uploaded: results });
 });
 
 /* Delete image(s) (gallery only) — supports { filename } or { files: [...] } */
-app.post("/images/delete", requireAdmin, async (req, res) => {
+app.post("/images/delete", requireAdmin("catalog"), v.validate({
+    body: {
+        files: v.array({ items: v.string({ max: 300 }), maxItems: 500 }),
+        filename: v.string({ max: 300 })
+    }
+}), async (req, res) => {
     try {
-        let files = [];
-        if (Array.isArray(req.body.files)) files = req.body.files.slice();
-        else if (req.body.filename) files = [req.body.filename];
-        else if (typeof req.body === "string") {
-            try { const parsed = JSON.parse(req.body); if (Array.isArray(parsed.files)) files = parsed.files; } catch {}
-        }
-
-        if (!Array.isArray(files) || files.length === 0) {
-            return res.status(400).json({ error: "No files provided" });
+        const files = req.body.files ? req.body.files.slice() : req.body.filename ? [req.body.filename] : [];
+        if (files.length === 0) {
+            return sendError(res, httpError(400, "No files provided", { code: "NO_FILES" }));
         }
 
         const deleted = [];
         const errors = [];
+        // files still used by a product or review are refused
+        const usage = await mediaUsage();
+        const indexed = new Map((await media.readIndex()).map(r => [r.url, r]));
 
         for (let raw of files) {
             try {
@@ -286,9 +587,19 @@ app.post("/images/delete", requireAdmin, async (req, res) => {
                     errors.push({ file: raw, error: "Invalid file type" });
                     continue;
                 }
+                const refs = usage.get(media.toUrl(rel)) || [];
+                if (refs.length) {
+                    errors.push({ file: raw, error: `In use by ${media.describeUsage(refs)}`, references: refs });
+                    continue;
+                }
                 try {
                     await fsp.unlink(fullPath);
+                    await images.removeVariants(filename);
+                    await media.forget(rel);
+                    await editor.forget(rel);
+                    await albums.forgetFile(rel);
                     deleted.push(filename);
+                    audit.record(req, "image.delete", { target: `image:${rel}`, before: indexed.get(media.toUrl(rel)) || { file: rel } });
                 } catch (err) {
                     errors.push({ file: raw, error: err.code === "ENOENT" ? "File not found" : err.message });
                 }
@@ -299,257 +610,1962 @@ app.post("/images/delete", requireAdmin, async (req, res) => {
 
         res.json({ deleted, errors });
     } catch (err) {
-        console.error("images/delete error", err);
-        res.status(500).json({ error: "Failed" });
+        sendError(res, err, "images/delete error");
     }
 });
 
-/* Products helpers (same as before) */
-async function readProducts() {
-    try { return JSON.parse(await fsp.readFile(PRODUCTS_JSON, "utf8")); } catch { return []; }
+/* Products helpers */
+function readProducts() {
+    return productsStore.read();
+}
+
+// Products the visitor may see: unpublished ones only for a logged-in admin asking with ?all=1
+async function visibleProducts(req) {
+    const all = await readProducts();
+    if (req.query.all === "1" && auth.readSession(req)) return all;
+    const now = Date.now();
+    return all.filter(p => availability.isPublished(p, now));
+}
+
+// products saved before pages had slugs get one now; it is stored, so their URLs stay put
+async function assignMissingSlugs() {
+    if ((await readProducts()).every(p => p.slug)) return;
+    await productsStore.update(list => {
+        for (const p of list) if (!p.slug) p.slug = catalog.uniqueSlug(p.name, list, p.id);
+    });
+}
+
+const DEFAULT_PRODUCT_IMAGE = "/images/products/default-sample.png";
+const PRODUCT_FIELDS = ["name", "description", "price", "category", "options", ...availability.FIELDS];
+
+/**
+ * Validate the editable product fields present in `body` (availability rules: lib/availability.js,
+ * option groups: lib/options.js).
+ * With { partial: true } missing fields are skipped (update); otherwise name is required (add).
+ * `current` is the stored product being updated.
+ * Returns { values, errors } — errors is a { field: message } map, empty when valid.
+ */
+function validateProductFields(body, { partial = false, current } = {}) {
+    const values = {};
+    const errors = {};
+    const has = f => body[f] !== undefined;
+
+    if (has("name") || !partial) {
+        const name = String(body.name || "").trim();
+        if (!name) errors.name = "Name required";
+        else if (name.length > 120) errors.name = "Name must be at most 120 characters";
+        else values.name = name;
+    }
+    if (has("description")) {
+        const description = String(body.description || "").trim();
+        if (description.length > 2000) errors.description = "Description must be at most 2000 characters";
+        else values.description = description;
+    }
+    if (has("price")) {
+        const price = String(body.price || "").trim();
+        if (price && !/^\d+(\.\d{1,2})?$/.test(price)) errors.price = "Price must be a number like 599 or 599.50";
+        else values.price = price;
+    }
+    if (has("category")) {
+        const category = String(body.category || "").trim();
+        if (category.length > 60) errors.category = "Category must be at most 60 characters";
+        else values.category = category || "Uncategorized";
+    }
+    if (has("options") || !partial) {
+        const options = productOptions.validateDefinition(body.options);
+        if (options.error) errors.options = options.error;
+        else values.options = options.value;
+    }
+    const rules = availability.validateFields(body, { partial, current });
+    Object.assign(values, rules.values);
+    Object.assign(errors, rules.errors);
+    return { values, errors };
+}
+
+// Resize/convert an uploaded product image (multer tmp file) into PRODUCTS_IMG_DIR; returns its public URL.
+// An image sharp cannot read is a 4xx (see validate.imageError).
+async function saveProductImage(file) {
+    const buffer = await fsp.readFile(file.path);
+
+    const safe = path.basename(
+        file.originalname,
+        path.extname(file.originalname)
+    ).replace(/\s+/g, "-").replace(/[^a-zA-Z0-9-_]/g, "");
+
+    const id = uuidv4();
+    const finalName = `${safe}-${id}.jpg`;
+    const finalPath = path.join(PRODUCTS_IMG_DIR, finalName);
+
+    try {
+        await sharp(buffer)
+            .jpeg({ quality: 85 })
+            .resize({ width: 1600, withoutEnlargement: true })
+            .toFile(finalPath);
+    } catch (err) {
+        await fsp.unlink(finalPath).catch(() => {});
+        throw v.imageError(err, file.originalname);
+    }
+
+    await fsp.unlink(file.path);
+    await images.tryGenerateVariants("products/" + finalName);
+    await media.tryRecord("/images/products/" + finalName, "product");
+    return "/images/products/" + finalName;
+}
+
+// Remove a product's image file (never the shared default sample)
+function removeProductImage(imageUrl) {
+    if (!imageUrl?.startsWith("/images/products/") || imageUrl === DEFAULT_PRODUCT_IMAGE) return;
+    const imgName = path.basename(imageUrl.replace("/images/products/", ""));
+    fsp.unlink(path.join(PRODUCTS_IMG_DIR, imgName)).catch(()=>{});
+    images.removeVariants("products/" + imgName);
+    media.forget("/images/products/" + imgName);
+    editor.forget("products/" + imgName);
 }
-async function writeProducts(v) { await fsp.writeFile(PRODUCTS_JSON, JSON.stringify(v, null, 2)); }
 
-app.get("/products/list", async (req, res) => {
-    const list = await readProducts();
-    list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    res.json(list);
+// API shape of a product: stored record + responsive variants of its image (null until generated)
+async function withImageVariants(p) {
+    return { ...p, imageVariants: p.image ? await images.describeVariants(p.image) : null };
+}
+
+/**
+ * GET /products/list
+ * Optional query: q (words in name/description), category, minPrice, maxPrice,
+ * sort (newest | oldest | price-asc | price-desc | name | rating).
+ * Each product carries `rating`: { average, count, histogram } and its availability
+ * (published, orderable, earliestDate ... see lib/availability.js).
+ * Unpublished products are left out unless a logged-in admin asks with all=1.
+ * Without paging params the response is a plain array (as before).
+ * With limit + page or cursor it is { items, total, limit, page, pages, nextCursor }.
+ */
+app.get("/products/list", v.validate({
+    query: {
+        q: v.string({ max: 200 }),
+        category: v.string({ max: 100 }),
+        collection: v.string({ max: 100 }),
+        minPrice: v.number({ min: 0 }),
+        maxPrice: v.number({ min: 0 }),
+        sort: v.oneOf(Object.keys(catalog.SORTS)),
+        limit: v.int({ min: 1, max: catalog.MAX_LIMIT }),
+        page: v.int({ min: 1 }),
+        cursor: v.string({ max: 500 }),
+        all: v.oneOf(["0", "1"])
+    }
+}), async (req, res) => {
+    try {
+        const opts = catalog.parseQuery(req.query);
+        const [summaries, products, allOrders, live] = await Promise.all([ratings.all(), visibleProducts(req), orders.readOrders(), livePromotions()]);
+        const booked = availability.bookedQuantities(allOrders);
+        const now = Date.now();
+        const list = products.map(p => {
+            const priceValue = catalog.parsePrice(p.price);
+            return {
+                ...p,
+                ...availability.describe(p, booked, now),
+                ...promotions.describe(p, priceValue, live),
+                options: p.options || [],
+                priceValue,
+                rating: summaries[p.id] || emptySummary()
+            };
+        });
+        const result = catalog.queryProducts(list, opts);
+        result.items = await Promise.all(result.items.map(withImageVariants));
+        res.json(opts.limit === null ? result.items : result);
+    } catch (err) {
+        sendError(res, err, 'list products error');
+    }
+});
+
+/**
+ * GET /products/collections
+ * Live seasonal collections: [{ slug, name, description, startsAt, endsAt, count }]
+ * (filter the list with /products/list?collection=<slug>)
+ */
+app.get("/products/collections", async (req, res) => {
+    try {
+        const [live, products] = await Promise.all([livePromotions(), visibleProducts(req)]);
+        res.json(promotions.collectionsFor(live, products));
+    } catch (err) {
+        sendError(res, err, 'list collections error');
+    }
+});
+
+/**
+ * GET /products/categories
+ * Categories currently in use: [{ category, count }]
+ */
+app.get("/products/categories", async (req, res) => {
+    try {
+        res.json(catalog.categoryCounts(await visibleProducts(req)));
+    } catch (err) {
+        sendError(res, err, 'list categories error');
+    }
 });
 
-app.post("/products/add", requireAdmin, uploadProducts.single("image"), async (req, res) => {
+/**
+ * POST /products/:id/price
+ * Public: { options: { groupId: choiceId | [choiceIds] | text }, quantity?, promoCode? } -> the configuration
+ * checked against the product's option groups and priced:
+ * { unitPrice, total, quantity, currency, lines, listUnitPrice, discount }.
+ * 400 with fields { "options.<groupId>": message } for a choice that is missing or not offered,
+ * or { promoCode } for a code that does not apply.
+ */
+app.post("/products/:id/price", rateLimit.pricing, v.validate({
+    params: { id: v.id() },
+    body: {
+        options: v.object(),
+        quantity: v.int({ min: 1, max: 100, default: 1 }),
+        promoCode: v.string({ max: promotions.MAX_CODE })
+    }
+}), async (req, res) => {
     try {
-        const { name, description, price, category } = req.body;
+        const product = (await visibleProducts(req)).find(p => p.id === req.params.id);
+        if (!product) return sendError(res, httpError(404, "Product not found"));
+        const body = req.body;
+        const pricing = productOptions.priceSelection(product, body.options, body.quantity);
+        const discount = promotions.discountFor(product, catalog.parsePrice(product.price), await livePromotions(), body.promoCode);
+        res.json(promotions.applyDiscount(pricing, discount));
+    } catch (err) {
+        sendError(res, err, 'price options error');
+    }
+});
 
-        if (!name?.trim())
-            return res.status(400).json({ error: "Name required" });
+// the multipart / JSON fields /products/add and /products/update read (values are checked by validateProductFields)
+const PRODUCT_BODY = Object.fromEntries(PRODUCT_FIELDS.map(f => [f, v.any()]));
 
-        let imageUrl = "/images/products/default-sample.png";
+// a new product from checked fields (validateProductFields without `partial`)
+function newProductRecord(values, image) {
+    return {
+        id: uuidv4(),
+        name: values.name,
+        description: values.description || "",
+        price: values.price || "",
+        category: values.category || "Uncategorized",
+        image: image || DEFAULT_PRODUCT_IMAGE,
+        availability: values.availability,
+        dailyCapacity: values.dailyCapacity,
+        leadTimeHours: values.leadTimeHours,
+        weekdays: values.weekdays,
+        publishFrom: values.publishFrom,
+        publishUntil: values.publishUntil,
+        options: values.options,
+        createdAt: new Date().toISOString()
+    };
+}
 
-        // process image
-        if (req.file) {
-            const tmp = req.file.path;
-            const buffer = await fsp.readFile(tmp);
+// a rename moves the page to a new slug; the old one keeps redirecting to it
+function moveSlug(list, idx, before) {
+    const slug = catalog.uniqueSlug(list[idx].name, list, before.id);
+    if (slug === before.slug) return;
+    list[idx].slug = slug;
+    list[idx].oldSlugs = [...(before.oldSlugs || []), before.slug].filter(s => s && s !== slug);
+}
 
-            const safe = path.basename(
-                req.file.originalname,
-                path.extname(req.file.originalname)
-            ).replace(/\s+/g, "-").replace(/[^a-zA-Z0-9-_]/g, "");
+function productFieldsError(errors) {
+    return httpError(400, Object.values(errors)[0], { code: "VALIDATION_FAILED", fields: errors });
+}
 
-            const id = uuidv4();
-            const finalName = `${safe}-${id}.jpg`;
-            const finalPath = path.join(PRODUCTS_IMG_DIR, finalName);
+app.post("/products/add", requireAdmin("catalog"), uploadQuota, acceptUpload(uploadProducts.single("image")), async (req, res) => {
+    try {
+        const { values, errors } = validateProductFields(v.check(PRODUCT_BODY, req.body));
+        if (Object.keys(errors).length) throw productFieldsError(errors);
 
-            await sharp(buffer)
-                .jpeg({ quality: 85 })
-                .resize({ width: 1600, withoutEnlargement: true })
-                .toFile(finalPath);
+        let imageUrl = DEFAULT_PRODUCT_IMAGE;
 
-            await fsp.unlink(tmp);
-            imageUrl = "/images/products/" + finalName;
+        // process image
+        if (req.file) {
+            imageUrl = await saveProductImage(req.file);
         }
 
-        const list = await readProducts();
-
-        const newProd = {
-            id: uuidv4(),
-            name: name.trim(),
-            description: (description || "").trim(),
-            price: price || "",
-            category: category || "Uncategorized",
-            image: imageUrl,
-            createdAt: new Date().toISOString()
-        };
+        const newProd = newProductRecord(values, imageUrl);
 
-        list.push(newProd);
-        await writeProducts(list);
+        try {
+            await productsStore.update(list => {
+                newProd.slug = catalog.uniqueSlug(newProd.name, list);
+                list.push(newProd);
+            });
+        } catch (err) {
+            removeProductImage(req.file ? imageUrl : null);
+            throw err;
+        }
 
-        res.json({ success: true, product: newProd });
+        audit.record(req, "product.add", { target: `product:${newProd.id}`, after: newProd });
+        res.json({ success: true, product: await withImageVariants(newProd) });
 
     } catch (err) {
-        console.error('add product error', err);
-        res.status(500).json({ error: 'Failed' });
+        if (req.file) fsp.unlink(req.file.path).catch(()=>{});
+        sendError(res, err, 'add product error');
     }
 });
 
+/**
+ * POST /products/update
+ * multipart or JSON: { id, name?, description?, price?, category?, options?, availability?, dailyCapacity?,
+ * leadTimeHours?, weekdays?, publishFrom?, publishUntil? } + optional "image" file.
+ * `options` is the full list of option groups (JSON string in multipart), replacing the old one.
+ * Only the fields sent are changed; the id (and so the product's reviews) stays the same.
+ * A new image goes through the same sharp pipeline and the old file is removed.
+ */
+app.post("/products/update", requireAdmin("catalog"), uploadQuota, acceptUpload(uploadProducts.single("image")), async (req, res) => {
+    const discardUpload = () => { if (req.file) fsp.unlink(req.file.path).catch(()=>{}); };
+    try {
+        const body = v.check({ id: v.id({ required: true }), ...PRODUCT_BODY }, req.body);
+        const current = (await readProducts()).find(p => p.id === body.id);
+        const { values, errors } = validateProductFields(body, { partial: true, current });
+        if (Object.keys(errors).length) throw productFieldsError(errors);
+        if (!Object.keys(values).length && !req.file) {
+            throw httpError(400, `Nothing to update (send any of ${PRODUCT_FIELDS.join(", ")} or image)`, { code: "NOTHING_TO_UPDATE" });
+        }
+        if (!current) throw httpError(404, 'Not found');
+
+        // run sharp before taking the file lock; drop the new image again if the save fails
+        const newImage = req.file ? await saveProductImage(req.file) : null;
+        let oldImage, before, updated;
+        try {
+            updated = await productsStore.update(list => {
+                const idx = list.findIndex(p => p.id === body.id);
+                if (idx === -1) throw httpError(404, 'Not found');
+                before = { ...list[idx] };
+                oldImage = list[idx].image;
+                list[idx] = { ...list[idx], ...values, ...(newImage ? { image: newImage } : {}), updatedAt: new Date().toISOString() };
+                if (values.name && values.name !== before.name) moveSlug(list, idx, before);
+                return list[idx];
+            });
+        } catch (err) {
+            removeProductImage(newImage);
+            throw err;
+        }
+        if (newImage && oldImage !== newImage) removeProductImage(oldImage);
+        audit.record(req, "product.update", { target: `product:${updated.id}`, before, after: updated });
+        if (updated.availability === "sold-out" && before.availability !== "sold-out") {
+            notifier.emit("product.sold-out", { productId: updated.id, name: updated.name, slug: updated.slug, by: req.admin.username });
+        }
 
-app.post("/products/delete", requireAdmin, async (req, res) => {
-    const { id } = req.body;
-    let list = await readProducts(); const idx = list.findIndex(p => p.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Not found' });
-    const removed = list.splice(idx, 1)[0]; await writeProducts(list);
-    if (removed.image?.startsWith("/images/products/")) {
-        const imgName = removed.image.replace("/images/products/", "");
-        fsp.unlink(path.join(PRODUCTS_IMG_DIR, imgName)).catch(()=>{});
+        res.json({ success: true, product: await withImageVariants(updated) });
+    } catch (err) {
+        discardUpload();
+        sendError(res, err, 'update product error');
     }
-    res.json({ success: true });
 });
 
-/* ----------------- REVIEWS: public + admin (with image uploads) ----------------- */
+/**
+ * POST /products/delete
+ * Admin: { id } — moves the product and its reviews to the trash (see /admin/trash).
+ * Its image and review photos stay until it is purged.
+ */
+app.post("/products/delete", requireAdmin("catalog"), v.validate({ body: { id: v.id({ required: true }) } }), async (req, res) => {
+    try {
+        const entry = await trash.trash(req.body.id, req.admin.username);
+        ratings.refresh(entry.id, []);
+        audit.record(req, "product.delete", {
+            target: `product:${entry.id}`,
+            before: entry.product,
+            after: { trashed: true, reviews: entry.reviews.length }
+        });
+        res.json({ success: true, trashed: true });
+    } catch (err) {
+        sendError(res, err, 'delete product error');
+    }
+});
+
+/* ----------------- TRASH ----------------- */
+
+// a purged product's files: its image, its review photos, and its place in promotions
+async function removeTrashedFiles(entry) {
+    removeProductImage(entry.product.image);
+    await removeReviewImages((entry.reviews || []).flatMap(r => r.images || []));
+    await promotions.forgetProduct(entry.id);
+}
 
 /**
- * GET /products/:id/reviews
- * Returns approved reviews for a product (public)
+ * GET /admin/trash
+ * Admin: deleted products, newest first: [{ id, name, category, price, image, reviews, deletedAt, deletedBy }]
  */
-app.get('/products/:id/reviews', (req, res) => {
+app.get("/admin/trash", requireAdmin("catalog"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
     try {
-        const id = req.params.id;
-        const all = readReviewsFileSafe();
-        const list = (all[id] || []).filter(r => r.status === 'approved');
-        res.json(list);
-    } catch (e) {
-        console.error('GET /products/:id/reviews error', e);
-        res.status(500).json({ error: 'Failed' });
+        res.json((await trash.list()).map(e => ({
+            id: e.id,
+            name: e.product.name,
+            category: e.product.category,
+            price: e.product.price,
+            image: e.product.image,
+            reviews: (e.reviews || []).length,
+            deletedAt: e.deletedAt,
+            deletedBy: e.deletedBy
+        })));
+    } catch (err) {
+        sendError(res, err, "trash list error");
     }
 });
 
 /**
- * POST /products/:id/reviews
- * Accepts JSON body OR multipart/form-data with up to 3 images (field name 'images')
- * Saves review with status='pending' by default (admin must approve)
- */
-app.post('/products/:id/reviews', (req, res) => {
-    // check content type to decide multipart vs json
-    const ct = (req.headers['content-type'] || '').toLowerCase();
-    if (ct.includes('multipart/form-data')) {
-        // handle with multer (up to 3 files)
-        uploadReviews.array('images', 3)(req, res, (err) => {
-            if (err) {
-                console.error('uploadReviews multer error', err);
-                return res.status(400).json({ error: err.message || 'Upload failed' });
-            }
-            try {
-                const id = req.params.id;
-                const body = req.body || {};
-                const review = {
-                    id: uuidv4(),
-                    rating: Number(body.rating) || 0,
-                    text: String(body.text || '').trim(),
-                    author: String(body.author || 'Guest').trim() || 'Guest',
-                    when: body.when || new Date().toISOString(),
-                    status: 'pending',
-                    images: []
-                };
-                if (Array.isArray(req.files)) {
-                    for (const f of req.files) {
-                        // saved path relative to public: /uploads/reviews/<filename>
-                        review.images.push(`/uploads/reviews/${f.filename}`);
-                    }
-                }
-                const all = readReviewsFileSafe();
-                all[id] = all[id] || [];
-                all[id].unshift(review);
-                const ok = writeReviewsFileSafe(all);
-                if (!ok) return res.status(500).json({ error: 'failed to save review' });
-                return res.status(201).json(review);
-            } catch (e) {
-                console.error('POST multipart save error', e);
-                return res.status(500).json({ error: 'Failed' });
-            }
-        });
-    } else {
-        // JSON post
-        try {
-            const id = req.params.id;
-            const body = req.body || {};
-            const review = {
-                id: uuidv4(),
-                rating: Number(body.rating) || 0,
-                text: String(body.text || '').trim(),
-                author: String(body.author || 'Guest').trim() || 'Guest',
-                when: body.when || new Date().toISOString(),
-                status: 'pending',
-                images: Array.isArray(body.images) ? body.images.slice(0,3) : []
-            };
-            const all = readReviewsFileSafe();
-            all[id] = all[id] || [];
-            all[id].unshift(review);
-            const ok = writeReviewsFileSafe(all);
-            if (!ok) return res.status(500).json({ error: 'failed to save review' });
-            return res.status(201).json(review);
-        } catch (e) {
-            console.error('POST json save error', e);
-            return res.status(500).json({ error: 'Failed' });
-        }
+ * POST /admin/trash/restore
+ * Admin: { id } — puts the product and its reviews back (with a new slug if its old one was taken)
+ */
+app.post("/admin/trash/restore", requireAdmin("catalog"), v.validate({ body: { id: v.id({ required: true }) } }), async (req, res) => {
+    try {
+        const { product, reviews } = await trash.restore(req.body.id);
+        ratings.refresh(product.id, reviews);
+        audit.record(req, "product.restore", { target: `product:${product.id}`, after: product });
+        res.json({ success: true, product: await withImageVariants(product) });
+    } catch (err) {
+        sendError(res, err, "trash restore error");
     }
 });
 
 /**
- * GET /admin/reviews
- * Admin: return pending reviews grouped by product
+ * POST /admin/trash/purge
+ * Admin: { id } — deletes a trashed product for good, with its image and review photos
  */
-app.get('/admin/reviews', requireAdmin, (req, res) => {
+app.post("/admin/trash/purge", requireAdmin("catalog"), v.validate({ body: { id: v.id({ required: true }) } }), async (req, res) => {
     try {
-        const all = readReviewsFileSafe();
-        const pending = {};
-        Object.keys(all).forEach(pid => {
-            const arr = all[pid].filter(r => r.status === 'pending');
-            if (arr.length) pending[pid] = arr;
-        });
-        res.json(pending);
-    } catch (e) {
-        console.error('GET /admin/reviews error', e);
-        res.status(500).json({ error: 'Failed' });
+        const entry = await trash.purge(req.body.id);
+        await removeTrashedFiles(entry);
+        audit.record(req, "product.purge", { target: `product:${entry.id}`, before: { ...entry.product, reviews: entry.reviews.length } });
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err, "trash purge error");
     }
 });
 
 /**
- * POST /admin/reviews/:productId/:reviewId/approve
- * Admin: approve a pending review
+ * POST /admin/trash/empty
+ * Admin: purge everything in the trash
  */
-app.post('/admin/reviews/:productId/:reviewId/approve', requireAdmin, (req, res) => {
+app.post("/admin/trash/empty", requireAdmin("catalog"), async (req, res) => {
     try {
-        const { productId, reviewId } = req.params;
-        const all = readReviewsFileSafe();
-        const arr = all[productId] || [];
-        const idx = arr.findIndex(r => String(r.id) === String(reviewId));
-        if (idx === -1) return res.status(404).json({ error: 'review not found' });
-        all[productId][idx].status = 'approved';
-        const ok = writeReviewsFileSafe(all);
-        if (!ok) return res.status(500).json({ error: 'failed to update' });
-        res.json(all[productId][idx]);
-    } catch (e) {
-        console.error('approve review error', e);
-        res.status(500).json({ error: 'Failed' });
+        const entries = await trash.purgeAll();
+        for (const entry of entries) await removeTrashedFiles(entry);
+        if (entries.length) {
+            audit.record(req, "product.purge", { target: "trash", before: { products: entries.map(e => ({ id: e.id, name: e.product.name })) } });
+        }
+        res.json({ success: true, purged: entries.length });
+    } catch (err) {
+        sendError(res, err, "empty trash error");
     }
 });
 
+/* ----------------- PRODUCT IMPORT / EXPORT ----------------- */
+const productImport = importer.createImporter({
+    tmpDir: TMP_DIR,
+    maxImageBytes: MAX_UPLOAD_MB * 1024 * 1024,
+    maxBytes: IMPORT_MAX_MB * 1024 * 1024
+});
+
+const uploadImport = multer({
+    storage: multer.diskStorage({
+        destination: TMP_DIR,
+        filename: (req, f, cb) => cb(null, `catalog-${Date.now()}-${uuidv4().slice(0,8)}${path.extname(f.originalname).toLowerCase()}`)
+    }),
+    limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024, files: 2, fields: 5 }
+});
+
 /**
- * POST /admin/reviews/:productId/:reviewId/reject
- * Admin: reject (delete) a pending review and remove associated uploaded images
+ * GET /admin/products/export?format=csv|json
+ * Admin: download the catalog (trashed products are not included)
  */
-app.post('/admin/reviews/:productId/:reviewId/reject', requireAdmin, (req, res) => {
+app.get("/admin/products/export", requireAdmin("catalog"), v.validate({
+    query: { format: v.oneOf(["csv", "json"], { default: "csv" }) }
+}), async (req, res) => {
+    res.set("Cache-Control", "no-store");
     try {
-        const { productId, reviewId } = req.params;
-        const all = readReviewsFileSafe();
-        const arr = all[productId] || [];
-        const idx = arr.findIndex(r => String(r.id) === String(reviewId));
-        if (idx === -1) return res.status(404).json({ error: 'review not found' });
+        const products = await readProducts();
+        const name = `dorys-products-${new Date().toISOString().slice(0, 10)}.${req.query.format}`;
+        res.attachment(name);
+        if (req.query.format === "json") return res.send(JSON.stringify(products, null, 2));
+        res.type("text/csv; charset=utf-8").send("\ufeff" + importer.toCsv(products));
+    } catch (err) {
+        sendError(res, err, "export products error");
+    }
+});
 
-        const removed = arr.splice(idx, 1)[0];
+// image cell naming a file already on the site ("/images/products/a.jpg", "products/a.jpg",
+// "/images/a.jpg", "a.jpg") -> { url, file } of a gallery or product image, or null
+async function findStoredImage(ref) {
+    const rel = ref.replace(/^\/+/, "").replace(/^images\//, "");
+    if (!/^(products\/)?[^/\\]+$/.test(rel) || rel.startsWith(".") || rel.includes("/.") || !ALLOWED.test(rel)) return null;
+    for (const candidate of rel.includes("/") ? [rel] : [`products/${rel}`, rel]) {
+        const file = path.join(IMAGES_DIR, ...candidate.split("/"));
+        try {
+            if ((await fsp.stat(file)).isFile()) return { url: `/images/${candidate}`, file };
+        } catch { /* not there */ }
+    }
+    return null;
+}
 
-        // delete uploaded images associated with this review (if any)
-        if (Array.isArray(removed.images)) {
-            for (const imgPath of removed.images) {
-                try {
-                    // imgPath is like '/uploads/reviews/filename.ext'
-                    const filename = path.basename(imgPath);
-                    const full = path.join(UPLOADS_DIR, filename);
-                    if (fs.existsSync(full)) {
-                        fs.unlinkSync(full);
-                    }
-                } catch (e) {
-                    console.warn('Failed to delete review image', imgPath, e);
-                }
-            }
+// sharp's verdict on each unpacked ZIP image, per staged import
+const importImageChecks = new WeakMap();
+
+async function zipImageProblem(st, img) {
+    if (!importImageChecks.has(st)) importImageChecks.set(st, new Map());
+    const checks = importImageChecks.get(st);
+    if (!checks.has(img.file)) {
+        let problem = null;
+        try {
+            await sharp(img.file).metadata();
+        } catch (err) {
+            const mapped = v.imageError(err, img.name);
+            problem = mapped.status ? mapped.message : `${img.name}: not a readable image`;
         }
+        checks.set(img.file, problem);
+    }
+    return checks.get(img.file);
+}
 
-        const ok = writeReviewsFileSafe(all);
-        if (!ok) return res.status(500).json({ error: 'failed to update' });
-        res.json({ removed });
-    } catch (e) {
-        console.error('reject review error', e);
-        res.status(500).json({ error: 'Failed' });
+/**
+ * Where a row's image comes from: { source: "zip" | "server", name, file } for a new image,
+ * { source: "keep" } (update, same or no image), { source: "default" } (create, no image),
+ * or { error }.
+ */
+async function importImage(st, cell, current) {
+    const ref = String(cell ?? "").trim();
+    if (!ref) return { source: current ? "keep" : "default" };
+    const zipped = !ref.includes("/") && st.images.get(ref.toLowerCase());
+    if (zipped) {
+        const problem = await zipImageProblem(st, zipped);
+        return problem ? { source: "zip", name: zipped.name, error: problem } : { source: "zip", name: zipped.name, file: zipped.file };
+    }
+    if (current && "/" + ref.replace(/^\/+/, "") === current.image) return { source: "keep" };
+    const stored = await findStoredImage(ref);
+    if (!stored) return { source: null, name: ref, error: `Image ${ref} is not in the ZIP or on the site` };
+    if (current && stored.url === current.image) return { source: "keep" };
+    return { source: "server", name: stored.url, file: stored.file };
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+
+/**
+ * Check the staged rows against the live catalog. Runs for the preview and again when the
+ * import is applied, so a product changed in between is seen as it is now.
+ * Returns [{ line, action: "create" | "update" | "unchanged", id, name, values, changes, image, errors }].
+ * A row with an id updates that product; without one it adds a new product.
+ */
+async function planImport(st) {
+    const [products, trashed] = await Promise.all([readProducts(), trash.list()]);
+    const byId = new Map(products.map(p => [p.id, p]));
+    const trashedIds = new Set(trashed.map(e => e.id));
+    const seen = new Set();
+    const plan = [];
+    for (const row of st.rows) {
+        const raw = row.values;
+        const errors = {};
+        const id = String(raw.id ?? "").trim();
+        const current = (id && byId.get(id)) || null;
+        if (id && seen.has(id)) errors.id = "The same id is on an earlier row";
+        else if (id && !current) {
+            errors.id = trashedIds.has(id) ? "This product is in the trash, restore it first" : "No product with this id (leave id empty to add a new product)";
+        }
+        if (id) seen.add(id);
+
+        const body = Object.fromEntries(PRODUCT_FIELDS.filter(f => raw[f] !== undefined).map(f => [f, raw[f]]));
+        const { values, errors: fieldErrors } = validateProductFields(body, { partial: !!current, current: current || undefined });
+        Object.assign(errors, fieldErrors);
+        const image = await importImage(st, raw.image, current);
+        if (image.error) errors.image = image.error;
+
+        // compare with the stored product as the same checks read it (fields it never had get their defaults)
+        const stored = current && validateProductFields(Object.fromEntries(PRODUCT_FIELDS.map(f => [f, current[f] ?? ""])), { current }).values;
+        const changes = current ? Object.keys(values).filter(k => !sameValue(values[k], k in stored ? stored[k] : current[k])) : [];
+        if (current && image.file) changes.push("image");
+        plan.push({
+            line: row.line,
+            action: !current ? "create" : changes.length ? "update" : "unchanged",
+            id: current ? id : null,
+            name: values.name || (current && current.name) || String(raw.name ?? "").trim(),
+            values,
+            changes,
+            image,
+            errors
+        });
     }
+    return plan;
+}
+
+// a planned row as the admin page sees it (no temp paths)
+function importRowView(r) {
+    return {
+        line: r.line,
+        action: r.action,
+        id: r.id,
+        name: r.name,
+        changes: r.changes,
+        image: r.image.source ? { source: r.image.source, ...(r.image.name ? { name: r.image.name } : {}) } : null,
+        errors: r.errors
+    };
+}
+
+function importPreview(st, plan) {
+    const invalid = plan.filter(r => Object.keys(r.errors).length);
+    const counts = { create: 0, update: 0, unchanged: 0, invalid: invalid.length };
+    for (const r of plan) if (!Object.keys(r.errors).length) counts[r.action]++;
+    const used = new Set(plan.filter(r => r.image.source === "zip").map(r => r.image.name.toLowerCase()));
+    const unused = [...st.images.values()].filter(img => !used.has(img.name.toLowerCase())).map(img => img.name);
+    const warnings = [...st.warnings];
+    if (unused.length) warnings.push(`Images in the ZIP no row uses: ${unused.slice(0, 20).join(", ")}${unused.length > 20 ? ` … +${unused.length - 20}` : ""}`);
+    return { token: st.token, format: st.format, counts, images: st.images.size, warnings, rows: plan.map(importRowView) };
+}
+
+/**
+ * POST /admin/products/import
+ * Admin: multipart "file" (CSV or JSON, as the export writes) + optional "images" (a ZIP).
+ * Nothing changes yet: the answer is a preview { token, counts: { create, update, unchanged, invalid },
+ * rows: [{ line, action, id, name, changes, image, errors }], warnings } to apply with the token.
+ * The image column names a file in the ZIP, or an image already on the site.
+ */
+app.post("/admin/products/import", requireAdmin("catalog"), uploadQuota, acceptUpload(uploadImport.fields([
+    { name: "file", maxCount: 1 },
+    { name: "images", maxCount: 1 }
+])), async (req, res) => {
+    const dataFile = req.files && req.files.file && req.files.file[0];
+    const zipFile = req.files && req.files.images && req.files.images[0];
+    try {
+        if (!dataFile) throw httpError(400, "No product file uploaded (CSV or JSON)", { code: "NO_FILE" });
+        if (zipFile && !/\.zip$/i.test(zipFile.originalname)) throw httpError(415, "Images must come as a .zip file", { code: "UNSUPPORTED_MEDIA_TYPE" });
+        const st = await productImport.stage(dataFile, zipFile);
+        try {
+            res.json(importPreview(st, await planImport(st)));
+        } catch (err) {
+            await productImport.discard(st.token);
+            throw err;
+        }
+    } catch (err) {
+        sendError(res, err, "import preview error");
+    } finally {
+        for (const f of [dataFile, zipFile]) if (f) fsp.unlink(f.path).catch(() => {});
+    }
+});
+
+/**
+ * GET /admin/products/import/:token
+ * Admin: the preview again, checked against the catalog as it is now
+ */
+app.get("/admin/products/import/:token", requireAdmin("catalog"), v.validate({ params: { token: v.id() } }), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const st = productImport.get(req.params.token);
+        res.json(importPreview(st, await planImport(st)));
+    } catch (err) {
+        sendError(res, err, "import preview error");
+    }
+});
+
+/**
+ * POST /admin/products/import/:token/apply
+ * Admin: { skipInvalid? } — add / update the products of a previewed import. Rows with errors
+ * make it fail (400 IMPORT_INVALID with the rows) unless skipInvalid is set; then they are left out.
+ * Resolves with { created, updated, unchanged, skipped }.
+ */
+app.post("/admin/products/import/:token/apply", requireAdmin("catalog"), v.validate({
+    params: { token: v.id() },
+    body: { skipInvalid: v.boolean() }
+}), async (req, res) => {
+    let st;
+    const saved = []; // new image URLs, removed again if the import fails
+    try {
+        st = productImport.claim(req.params.token);
+        const plan = await planImport(st);
+        const invalid = plan.filter(r => Object.keys(r.errors).length);
+        if (invalid.length && !req.body.skipInvalid) {
+            productImport.release(st.token);
+            const { body } = v.errorResponse(httpError(400, `${invalid.length} row(s) have errors`, { code: "IMPORT_INVALID" }));
+            return res.status(400).json({ ...body, rows: plan.map(importRowView) });
+        }
+        const todo = plan.filter(r => !Object.keys(r.errors).length && r.action !== "unchanged");
+
+        // every new image goes through the product image pipeline from its own copy
+        for (const [i, r] of todo.entries()) {
+            if (!r.image.file) continue;
+            const copy = path.join(st.dir, `row-${i}${path.extname(r.image.file)}`);
+            await fsp.copyFile(r.image.file, copy);
+            try {
+                r.image.url = await saveProductImage({ path: copy, originalname: path.basename(r.image.name) });
+            } catch (err) {
+                fsp.unlink(copy).catch(() => {});
+                throw err;
+            }
+            saved.push(r.image.url);
+        }
+
+        const replaced = [];
+        const { created, updated } = await productsStore.update(list => {
+            const created = [];
+            const updated = [];
+            const now = new Date().toISOString();
+            for (const r of todo) {
+                if (r.action === "create") {
+                    const p = newProductRecord(r.values, r.image.url);
+                    p.slug = catalog.uniqueSlug(p.name, list);
+                    list.push(p);
+                    created.push({ line: r.line, product: p });
+                    continue;
+                }
+                const idx = list.findIndex(p => p.id === r.id);
+                if (idx === -1) throw httpError(409, `${r.name} (line ${r.line}) was deleted meanwhile, please check the import again`);
+                const before = { ...list[idx] };
+                list[idx] = { ...before, ...r.values, ...(r.image.url ? { image: r.image.url } : {}), updatedAt: now };
+                if (r.values.name && r.values.name !== before.name) moveSlug(list, idx, before);
+                if (r.image.url && before.image !== r.image.url) replaced.push(before.image);
+                updated.push({ line: r.line, before, after: list[idx] });
+            }
+            return { created, updated };
+        });
+        saved.length = 0;
+        replaced.forEach(removeProductImage);
+        await productImport.discard(st.token);
+
+        for (const u of updated) {
+            if (u.after.availability === "sold-out" && u.before.availability !== "sold-out") {
+                notifier.emit("product.sold-out", { productId: u.after.id, name: u.after.name, slug: u.after.slug, by: req.admin.username });
+            }
+        }
+        const skipped = invalid.map(r => ({ line: r.line, name: r.name, errors: r.errors }));
+        audit.record(req, "product.import", {
+            target: "products",
+            after: {
+                created: created.map(c => ({ id: c.product.id, name: c.product.name })),
+                updated: updated.map(u => ({ id: u.after.id, name: u.after.name, changes: plan.find(r => r.line === u.line).changes })),
+                skipped: skipped.map(r => r.line)
+            }
+        });
+        res.json({
+            success: true,
+            created: created.map(c => ({ line: c.line, id: c.product.id, name: c.product.name, slug: c.product.slug })),
+            updated: updated.map(u => ({ line: u.line, id: u.after.id, name: u.after.name })),
+            unchanged: plan.filter(r => r.action === "unchanged" && !Object.keys(r.errors).length).length,
+            skipped
+        });
+    } catch (err) {
+        saved.forEach(removeProductImage);
+        if (st) productImport.release(st.token);
+        sendError(res, err, "import apply error");
+    }
+});
+
+/**
+ * DELETE /admin/products/import/:token
+ * Admin: throw a previewed import away
+ */
+app.delete("/admin/products/import/:token", requireAdmin("catalog"), v.validate({ params: { token: v.id() } }), async (req, res) => {
+    try {
+        if (!(await productImport.discard(req.params.token))) throw httpError(404, "Import not found");
+        audit.record(req, "product.import.discard", { target: `import:${req.params.token}` });
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err, "import discard error");
+    }
+});
+
+/* ----------------- GALLERY ALBUMS ----------------- */
+
+// field-by-field checks are albums.validateAlbum's; the schema only fixes the keys and their types
+const ALBUM_BODY = {
+    title: v.string(),
+    description: v.string(),
+    cover: v.string({ max: 300, nullable: true }),
+    items: v.array()
+};
+
+function albumFieldsError(res, errors) {
+    return sendError(res, httpError(400, Object.values(errors)[0], { code: "VALIDATION_FAILED", fields: errors }));
+}
+
+/**
+ * GET /admin/albums
+ * Admin: every album in display order, with `missing: true` on photos whose file is gone
+ */
+app.get("/admin/albums", requireAdmin("catalog"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const [list, gallery] = await Promise.all([albums.readAlbums(), galleryImages()]);
+        const present = new Set(gallery.map(g => g.file));
+        res.json(list.map(a => ({ ...a, items: a.items.map(i => ({ ...i, missing: !present.has(i.file) })) })));
+    } catch (err) {
+        sendError(res, err, "albums list error");
+    }
+});
+
+/**
+ * POST /admin/albums/add
+ * Admin: { title, description?, cover?, items?: [{ file, caption?, alt? }] } — added last
+ */
+app.post("/admin/albums/add", requireAdmin("catalog"), v.validate({ body: ALBUM_BODY }), async (req, res) => {
+    try {
+        const { values, errors } = await albums.validateAlbum(req.body);
+        if (Object.keys(errors).length) return albumFieldsError(res, errors);
+        const album = await albums.createAlbum(values);
+        audit.record(req, "album.add", { target: `album:${album.id}`, after: album });
+        res.json({ success: true, album });
+    } catch (err) {
+        sendError(res, err, "add album error");
+    }
+});
+
+/**
+ * POST /admin/albums/update
+ * Admin: { id, title?, description?, cover?, items? } — `items` replaces the whole list,
+ * so its order is the photo order
+ */
+app.post("/admin/albums/update", requireAdmin("catalog"), v.validate({ body: { id: v.id({ required: true }), ...ALBUM_BODY } }), async (req, res) => {
+    try {
+        const { id, ...body } = req.body;
+        const { values, errors } = await albums.validateAlbum(body, { partial: true });
+        if (Object.keys(errors).length) return albumFieldsError(res, errors);
+        const { before, after } = await albums.updateAlbum(id, values);
+        audit.record(req, "album.update", { target: `album:${after.id}`, before, after });
+        res.json({ success: true, album: after });
+    } catch (err) {
+        sendError(res, err, "update album error");
+    }
+});
+
+/**
+ * POST /admin/albums/delete
+ * Admin: { id } — the photos stay in the gallery
+ */
+app.post("/admin/albums/delete", requireAdmin("catalog"), v.validate({ body: { id: v.id({ required: true }) } }), async (req, res) => {
+    try {
+        const removed = await albums.deleteAlbum(req.body.id);
+        audit.record(req, "album.delete", { target: `album:${removed.id}`, before: removed });
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err, "delete album error");
+    }
+});
+
+/**
+ * POST /admin/albums/order
+ * Admin: { ids: [albumId, ...] } — every album once, in the order the homepage shows them
+ */
+app.post("/admin/albums/order", requireAdmin("catalog"), v.validate({
+    body: { ids: v.array({ items: v.id(), required: true }) }
+}), async (req, res) => {
+    try {
+        const { before, after } = await albums.reorderAlbums(req.body.ids);
+        audit.record(req, "album.reorder", { target: "albums", before, after });
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err, "reorder albums error");
+    }
+});
+
+/* ----------------- PROMOTIONS ----------------- */
+
+async function livePromotions() {
+    const now = Date.now();
+    return (await promotions.readPromotions()).filter(p => promotions.isLive(p, now));
+}
+
+/**
+ * GET /admin/promotions
+ * Admin: every promotion (codes included) with `live` telling whether it applies right now
+ */
+app.get("/admin/promotions", requireAdmin("catalog"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const now = Date.now();
+        const list = (await promotions.readPromotions()).map(p => ({ ...p, live: promotions.isLive(p, now) }));
+        res.json({ promotions: list, types: promotions.TYPES, kinds: promotions.KINDS });
+    } catch (err) {
+        sendError(res, err, 'list promotions error');
+    }
+});
+
+// the keys a promotion may carry; promotions.validatePromotion checks the values
+const PROMOTION_BODY = {
+    type: v.string(),
+    name: v.string(),
+    enabled: v.boolean(),
+    startsAt: v.string({ nullable: true }),
+    endsAt: v.string({ nullable: true }),
+    productIds: v.array({ items: v.id() }),
+    categories: v.array({ items: v.string({ max: 60 }) }),
+    kind: v.string({ nullable: true }),
+    amount: v.number({ nullable: true }),
+    code: v.string({ max: promotions.MAX_CODE, nullable: true }),
+    badge: v.string({ nullable: true }),
+    description: v.string()
+};
+
+function promotionFieldsError(errors) {
+    return httpError(400, Object.values(errors)[0], { code: "VALIDATION_FAILED", fields: errors });
+}
+
+/**
+ * POST /admin/promotions/add
+ * Admin: { type, name, enabled?, startsAt?, endsAt?, productIds?, categories?,
+ *          kind?, amount?, code?, badge? (discount), description? (collection) }
+ */
+app.post("/admin/promotions/add", requireAdmin("catalog"), v.validate({ body: PROMOTION_BODY }), async (req, res) => {
+    try {
+        const { values, errors } = promotions.validatePromotion(req.body, { products: await readProducts() });
+        if (Object.keys(errors).length) throw promotionFieldsError(errors);
+        const promo = await promotions.createPromotion(values);
+        audit.record(req, "promotion.add", { target: `promotion:${promo.id}`, after: promo });
+        res.json({ success: true, promotion: promo });
+    } catch (err) {
+        sendError(res, err, 'add promotion error');
+    }
+});
+
+/**
+ * POST /admin/promotions/update
+ * Admin: { id, ...fields } — fields not sent keep their stored value
+ */
+app.post("/admin/promotions/update", requireAdmin("catalog"), v.validate({ body: { id: v.id({ required: true }), ...PROMOTION_BODY } }), async (req, res) => {
+    try {
+        const { id, ...changes } = req.body;
+        const current = (await promotions.readPromotions()).find(p => p.id === id);
+        if (!current) throw httpError(404, "Promotion not found");
+        const { values, errors } = promotions.validatePromotion({ ...current, ...changes }, { products: await readProducts() });
+        if (Object.keys(errors).length) throw promotionFieldsError(errors);
+        const { before, after } = await promotions.updatePromotion(id, values);
+        audit.record(req, "promotion.update", { target: `promotion:${id}`, before, after });
+        res.json({ success: true, promotion: after });
+    } catch (err) {
+        sendError(res, err, 'update promotion error');
+    }
+});
+
+/**
+ * POST /admin/promotions/delete
+ * Admin: { id }
+ */
+app.post("/admin/promotions/delete", requireAdmin("catalog"), v.validate({ body: { id: v.id({ required: true }) } }), async (req, res) => {
+    try {
+        const removed = await promotions.deletePromotion(req.body.id);
+        audit.record(req, "promotion.delete", { target: `promotion:${removed.id}`, before: removed });
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err, 'delete promotion error');
+    }
+});
+
+/* ----------------- PRODUCT PAGES / SEO ----------------- */
+
+function siteUrl(req) {
+    return SITE_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+// Pages with absolute URLs built from the Host header (no SITE_URL) must not sit in a shared
+// cache, or one forged Host would be served to everyone.
+function cacheFor(res, maxAgeSec) {
+    res.set("Cache-Control", `${SITE_URL ? "public" : "private"}, max-age=${maxAgeSec}`);
+}
+
+/**
+ * GET /product/:slug
+ * Public: server-rendered product page (name, image, price, description, approved reviews)
+ * with OpenGraph tags and schema.org Product JSON-LD. Old slugs and product ids redirect (301).
+ */
+app.get("/product/:slug", async (req, res) => {
+    try {
+        const products = await readProducts();
+        const slug = String(req.params.slug).toLowerCase();
+        const product = products.find(p => p.slug === slug);
+        if (product && !availability.isPublished(product) && !auth.readSession(req)) {
+            return res.status(404).type("html").send(pages.notFoundPage());
+        }
+        if (!product) {
+            const moved = products.find(p => (p.oldSlugs || []).includes(slug) || p.id === req.params.slug);
+            if (moved && moved.slug) return res.redirect(301, `/product/${moved.slug}`);
+            return res.status(404).type("html").send(pages.notFoundPage());
+        }
+        const [variants, rating, allReviews, allOrders, live] = await Promise.all([
+            product.image ? images.describeVariants(product.image) : null,
+            ratings.get(product.id),
+            reviewsStore.read(),
+            orders.readOrders(),
+            livePromotions()
+        ]);
+        const reviews = (allReviews[product.id] || []).map(moderation.publicReview)
+            .sort((a, b) => new Date(b.when || 0) - new Date(a.when || 0));
+        // an admin previewing a draft / scheduled product: nothing may keep a copy
+        if (!availability.isPublished(product)) res.set("Cache-Control", "private, no-store");
+        else cacheFor(res, 300);
+        const priceValue = catalog.parsePrice(product.price);
+        res.type("html").send(pages.productPage({
+            product: {
+                ...product,
+                ...availability.describe(product, availability.bookedQuantities(allOrders)),
+                ...promotions.describe(product, priceValue, live),
+                priceValue
+            },
+            variants,
+            rating,
+            reviews,
+            baseUrl: siteUrl(req)
+        }));
+    } catch (err) {
+        sendError(res, err, 'product page error');
+    }
+});
+
+/**
+ * GET /sitemap.xml
+ * Public: home, product list and every product page
+ */
+app.get("/sitemap.xml", async (req, res) => {
+    try {
+        cacheFor(res, 3600);
+        const now = Date.now();
+        const products = (await readProducts()).filter(p => availability.isPublished(p, now));
+        res.type("application/xml").send(pages.sitemap({ products, baseUrl: siteUrl(req) }));
+    } catch (err) {
+        sendError(res, err, 'sitemap error');
+    }
+});
+
+/**
+ * GET /robots.txt
+ * Public: keeps crawlers out of the admin pages and points them at the sitemap
+ */
+app.get("/robots.txt", (req, res) => {
+    cacheFor(res, 86400);
+    res.type("text/plain").send(pages.robots({ baseUrl: siteUrl(req) }));
+});
+
+/* ----------------- REVIEWS: public + admin (with image uploads) ----------------- */
+
+// review photos are re-encoded to JPEG (EXIF/GPS dropped, orientation applied) plus a thumbnail:
+//   /uploads/reviews/<name>.jpg and /uploads/reviews/<name>-thumb.jpg
+const REVIEW_IMAGE_WIDTH = 1600;
+const REVIEW_THUMB_WIDTH = 320;
+const MAX_REVIEW_IMAGES = 3;
+const MAX_REVIEW_TEXT = 2000;
+const MAX_REVIEW_AUTHOR = 60;
+const REVIEW_IMAGE_URL = /^\/uploads\/reviews\/([a-z0-9]+-[a-f0-9]{8})\.jpg$/;
+
+function reviewThumbUrl(url) {
+    return url.replace(/\.jpg$/, "-thumb.jpg");
+}
+
+/**
+ * Re-encode one uploaded review photo (multer file in TMP_DIR). The temp file is always removed.
+ * Returns { url, thumb }; unreadable / unsupported images throw a 400.
+ */
+async function saveReviewImage(file) {
+    const name = `${Date.now().toString(36)}-${uuidv4().slice(0, 8)}`;
+    const full = path.join(UPLOADS_DIR, `${name}.jpg`);
+    const thumb = path.join(UPLOADS_DIR, `${name}-thumb.jpg`);
+    try {
+        const input = await fsp.readFile(file.path);
+        // .rotate() bakes in the EXIF orientation; sharp writes no metadata unless asked to
+        await sharp(input).rotate()
+            .resize({ width: REVIEW_IMAGE_WIDTH, height: REVIEW_IMAGE_WIDTH, fit: "inside", withoutEnlargement: true })
+            .jpeg({ quality: 82, mozjpeg: true })
+            .toFile(full);
+        await sharp(input).rotate()
+            .resize({ width: REVIEW_THUMB_WIDTH, height: REVIEW_THUMB_WIDTH, fit: "inside", withoutEnlargement: true })
+            .jpeg({ quality: 75, mozjpeg: true })
+            .toFile(thumb);
+        await media.tryRecord(`/uploads/reviews/${name}.jpg`, "review");
+        return { url: `/uploads/reviews/${name}.jpg`, thumb: `/uploads/reviews/${name}-thumb.jpg` };
+    } catch (err) {
+        await Promise.all([fsp.unlink(full), fsp.unlink(thumb)].map(p => p.catch(() => {})));
+        const heic = /heic|heif/i.test(file.mimetype) || /\.(heic|heif)$/i.test(file.originalname);
+        if (heic) throw httpError(415, `${file.originalname}: HEIC photos are not supported, please upload JPEG or PNG`, { code: "UNSUPPORTED_IMAGE" });
+        const mapped = v.imageError(err, file.originalname);
+        throw mapped.status ? mapped : httpError(422, `${file.originalname}: not a readable image`, { code: "INVALID_IMAGE" });
+    } finally {
+        await fsp.unlink(file.path).catch(() => {});
+    }
+}
+
+// Process all files of one request; if any fails, nothing from this request is kept
+async function saveReviewImages(files) {
+    const saved = [];
+    try {
+        for (const f of files || []) saved.push(await saveReviewImage(f));
+        return saved;
+    } catch (err) {
+        for (const f of files || []) await fsp.unlink(f.path).catch(() => {});
+        await removeReviewImages(saved.map(s => s.url));
+        throw err;
+    }
+}
+
+async function removeReviewImages(urls) {
+    for (const url of urls || []) {
+        // only ever touch files inside UPLOADS_DIR
+        const filename = path.basename(String(url));
+        await fsp.unlink(path.join(UPLOADS_DIR, filename)).catch(() => {});
+        if (filename.endsWith(".jpg")) await fsp.unlink(path.join(UPLOADS_DIR, filename.replace(/\.jpg$/, "-thumb.jpg"))).catch(() => {});
+        await media.forget("/uploads/reviews/" + filename);
+    }
+}
+
+/**
+ * JSON reviews may only reference photos uploaded through POST /reviews/images
+ * that no other review uses yet. Returns the URLs or throws a 400.
+ */
+async function checkReviewImageRefs(images, all) {
+    if (images === undefined || images === null) return [];
+    if (!Array.isArray(images)) throw httpError(400, 'images must be an array');
+    if (images.length > MAX_REVIEW_IMAGES) throw httpError(400, `At most ${MAX_REVIEW_IMAGES} images per review`);
+    const used = new Set();
+    for (const list of Object.values(all)) for (const r of list) for (const u of r.images || []) used.add(u);
+    const out = [];
+    for (const url of images) {
+        if (typeof url !== 'string' || !REVIEW_IMAGE_URL.test(url)) {
+            throw httpError(400, 'images must be photos uploaded through POST /reviews/images');
+        }
+        if (used.has(url) || out.includes(url)) throw httpError(400, 'Image is already attached to a review');
+        try {
+            await fsp.access(path.join(UPLOADS_DIR, path.basename(url)));
+        } catch {
+            throw httpError(400, 'Uploaded image not found, please upload it again');
+        }
+        out.push(url);
+    }
+    return out;
+}
+
+/**
+ * POST /reviews/images
+ * Multipart with up to 3 files (field 'images'). Photos are cleaned and resized;
+ * the returned urls can then be sent as `images` in a JSON review.
+ */
+app.post('/reviews/images', rateLimit.reviewPhotos, uploadQuota, acceptUpload(uploadReviews.array('images', MAX_REVIEW_IMAGES)), async (req, res) => {
+    try {
+        if (!req.files || !req.files.length) return sendError(res, httpError(400, 'No images uploaded', { code: 'NO_FILES' }));
+        res.status(201).json({ images: await saveReviewImages(req.files) });
+    } catch (e) {
+        sendError(res, e, 'POST /reviews/images error');
+    }
+});
+
+/**
+ * GET /reviews/summary
+ * Rating summaries for all products with approved reviews: { productId: { average, count, histogram } }
+ */
+app.get('/reviews/summary', async (req, res) => {
+    try {
+        res.json(await ratings.all());
+    } catch (e) {
+        sendError(res, e, 'GET /reviews/summary error');
+    }
+});
+
+/**
+ * GET /products/:id/reviews/summary
+ * Rating summary for one product (zero counts when it has no approved reviews)
+ */
+const PRODUCT_PARAMS = { id: v.id() };
+const REVIEW_PARAMS = { id: v.id(), reviewId: v.id() };
+const ADMIN_REVIEW_PARAMS = { productId: v.id(), reviewId: v.id() };
+
+app.get('/products/:id/reviews/summary', v.validate({ params: PRODUCT_PARAMS }), async (req, res) => {
+    try {
+        res.json(await ratings.get(req.params.id));
+    } catch (e) {
+        sendError(res, e, 'GET /products/:id/reviews/summary error');
+    }
+});
+
+/**
+ * GET /products/:id/reviews
+ * Returns approved reviews for a product (public), with the bakery's reply and helpful count
+ */
+app.get('/products/:id/reviews', v.validate({ params: PRODUCT_PARAMS }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const all = await reviewsStore.read();
+        const list = (all[id] || []).filter(r => r.status === 'approved').map(moderation.publicReview);
+        res.json(list);
+    } catch (e) {
+        sendError(res, e, 'GET /products/:id/reviews error');
+    }
+});
+
+// tell staff a review is waiting for approval (fire and forget)
+async function notifyReview(productId, review) {
+    try {
+        const product = (await readProducts()).find(p => p.id === productId);
+        await notifier.emit("review.submitted", {
+            productId,
+            productName: product ? product.name : productId,
+            reviewId: review.id,
+            author: review.author,
+            rating: review.rating,
+            text: review.text.slice(0, 1000),
+            images: review.images.length
+        });
+    } catch (err) {
+        console.error("review notification error", err);
+    }
+}
+
+// tell staff a visitor reported a review and it is back in the queue (fire and forget)
+async function notifyReport(productId, review, reason) {
+    try {
+        const product = (await readProducts()).find(p => p.id === productId);
+        await notifier.emit("review.reported", {
+            productId,
+            productName: product ? product.name : productId,
+            reviewId: review.id,
+            author: review.author,
+            reason,
+            reports: review.reports.length,
+            text: review.text.slice(0, 1000)
+        });
+    } catch (err) {
+        console.error("review notification error", err);
+    }
+}
+
+// what a review may carry; `when` is always the server's clock
+const REVIEW_BODY = {
+    rating: v.int({ min: 1, max: 5, required: true }),
+    text: v.string({ max: MAX_REVIEW_TEXT }),
+    author: v.string({ max: MAX_REVIEW_AUTHOR }),
+    images: v.array({ maxItems: MAX_REVIEW_IMAGES })
+};
+
+// multipart reviews bring their photos along; JSON ones reference photos from POST /reviews/images
+const reviewPhotoUpload = acceptUpload(uploadReviews.array('images', MAX_REVIEW_IMAGES));
+function optionalReviewPhotos(req, res, next) {
+    return req.is('multipart/form-data') ? reviewPhotoUpload(req, res, next) : next();
+}
+
+/**
+ * POST /products/:id/reviews
+ * Accepts JSON body OR multipart/form-data with up to 3 images (field name 'images')
+ * Body: { rating (1-5), text?, author?, images? } — saves the review with status='pending' (admin must approve)
+ */
+app.post('/products/:id/reviews', rateLimit.reviews, v.validate({ params: PRODUCT_PARAMS }), uploadQuota, optionalReviewPhotos, async (req, res) => {
+    const id = req.params.id;
+    let saved = [];
+    try {
+        const body = v.check(REVIEW_BODY, req.body);
+        if (!(await visibleProducts(req)).some(p => p.id === id)) throw httpError(404, 'Product not found');
+        saved = await saveReviewImages(req.files);
+        const review = {
+            id: uuidv4(),
+            rating: body.rating,
+            text: body.text || '',
+            author: body.author || 'Guest',
+            when: new Date().toISOString(),
+            status: 'pending',
+            images: saved.map(s => s.url),
+            thumbs: saved.map(s => s.thumb)
+        };
+        await reviewsStore.update(async all => {
+            if (!saved.length) {
+                // checked under the store lock so two reviews cannot claim the same photo
+                review.images = await checkReviewImageRefs(body.images, all);
+                review.thumbs = review.images.map(reviewThumbUrl);
+            }
+            all[id] = all[id] || [];
+            all[id].unshift(review);
+        });
+        notifyReview(id, review);
+        res.status(201).json(review);
+    } catch (e) {
+        for (const f of req.files || []) fsp.unlink(f.path).catch(() => {});
+        await removeReviewImages(saved.map(i => i.url));
+        sendError(res, e, 'POST review save error');
+    }
+});
+
+/**
+ * POST /products/:id/reviews/:reviewId/helpful
+ * Public: "this review was helpful" — counted once per visitor (visitor cookie). Returns { helpful, counted }
+ */
+app.post('/products/:id/reviews/:reviewId/helpful', rateLimit.reactions, v.validate({ params: REVIEW_PARAMS }), async (req, res) => {
+    try {
+        const visitor = auth.visitorId(req, res);
+        const result = await reviewsStore.update(all => {
+            const review = moderation.findReview(all, req.params.id, req.params.reviewId, { approvedOnly: true });
+            return moderation.voteHelpful(review, visitor);
+        });
+        res.json(result);
+    } catch (e) {
+        sendError(res, e, 'helpful vote error');
+    }
+});
+
+/**
+ * POST /products/:id/reviews/:reviewId/report
+ * Public: { reason, details? } — reports an approved review, which goes back to the moderation queue
+ */
+app.post('/products/:id/reviews/:reviewId/report', rateLimit.reactions, v.validate({
+    params: REVIEW_PARAMS,
+    body: { reason: v.oneOf(moderation.REPORT_REASONS, { required: true }), details: v.string({ max: 500 }) }
+}), async (req, res) => {
+    try {
+        const productId = req.params.id;
+        const visitor = auth.visitorId(req, res);
+        const body = req.body;
+        const { review, reviews } = await reviewsStore.update(all => {
+            const review = moderation.findReview(all, productId, req.params.reviewId, { approvedOnly: true });
+            moderation.report(review, visitor, body);
+            return { review, reviews: all[productId] };
+        });
+        ratings.refresh(productId, reviews);
+        notifyReport(productId, review, review.reports[review.reports.length - 1].reason);
+        res.json({ success: true });
+    } catch (e) {
+        sendError(res, e, 'report review error');
+    }
+});
+
+/**
+ * GET /admin/reviews?status=pending|reported|approved|hidden|all
+ * Admin: reviews with that status (default pending) grouped by product, newest first
+ */
+app.get('/admin/reviews', requireAdmin('reviews'), v.validate({
+    query: { status: v.oneOf(moderation.FILTERS, { default: 'pending' }) }
+}), async (req, res) => {
+    try {
+        const filter = req.query.status;
+        const all = await reviewsStore.read();
+        const out = {};
+        Object.keys(all).forEach(pid => {
+            const arr = all[pid].filter(r => moderation.matchesFilter(r, filter)).map(moderation.adminReview);
+            if (arr.length) out[pid] = arr;
+        });
+        res.json(out);
+    } catch (e) {
+        sendError(res, e, 'GET /admin/reviews error');
+    }
+});
+
+// approve / hide one review, refresh its product's rating and audit the change
+async function moderateReview(req, res, status, action) {
+    try {
+        const { productId, reviewId } = req.params;
+        const { before, after, reviews } = await reviewsStore.update(all => {
+            const review = moderation.findReview(all, productId, reviewId);
+            const before = moderation.adminReview(review);
+            moderation.setStatus(review, status);
+            return { before, after: moderation.adminReview(review), reviews: all[productId] };
+        });
+        ratings.refresh(productId, reviews);
+        audit.record(req, action, { target: `review:${productId}/${reviewId}`, before, after });
+        res.json(after);
+    } catch (e) {
+        sendError(res, e, `${action} error`);
+    }
+}
+
+/**
+ * POST /admin/reviews/:productId/:reviewId/approve
+ * Admin: approve a pending or hidden review (closes open reports)
+ */
+app.post('/admin/reviews/:productId/:reviewId/approve', requireAdmin('reviews'), v.validate({ params: ADMIN_REVIEW_PARAMS }), (req, res) =>
+    moderateReview(req, res, 'approved', 'review.approve'));
+
+/**
+ * POST /admin/reviews/:productId/:reviewId/hide
+ * Admin: take a review off the site without deleting it (closes open reports)
+ */
+app.post('/admin/reviews/:productId/:reviewId/hide', requireAdmin('reviews'), v.validate({ params: ADMIN_REVIEW_PARAMS }), (req, res) =>
+    moderateReview(req, res, 'hidden', 'review.hide'));
+
+/**
+ * POST /admin/reviews/:productId/:reviewId/reply
+ * Admin: { text } — the bakery's public reply under the review; empty text removes it
+ */
+app.post('/admin/reviews/:productId/:reviewId/reply', requireAdmin('reviews'), v.validate({
+    params: ADMIN_REVIEW_PARAMS,
+    body: { text: v.string({ max: 1000, default: '' }) }
+}), async (req, res) => {
+    try {
+        const { productId, reviewId } = req.params;
+        const { text } = req.body;
+        const { before, after } = await reviewsStore.update(all => {
+            const review = moderation.findReview(all, productId, reviewId);
+            const before = review.reply || null;
+            moderation.setReply(review, text, req.admin.username);
+            return { before, after: moderation.adminReview(review) };
+        });
+        audit.record(req, "review.reply", { target: `review:${productId}/${reviewId}`, before, after: after.reply });
+        res.json(after);
+    } catch (e) {
+        sendError(res, e, 'reply review error');
+    }
+});
+
+/**
+ * POST /admin/reviews/:productId/:reviewId/reject
+ * Admin: reject (delete) a review and remove associated uploaded images
+ */
+app.post('/admin/reviews/:productId/:reviewId/reject', requireAdmin('reviews'), v.validate({ params: ADMIN_REVIEW_PARAMS }), async (req, res) => {
+    try {
+        const { productId, reviewId } = req.params;
+        const { removed, reviews } = await reviewsStore.update(all => {
+            const arr = all[productId] || [];
+            const idx = arr.findIndex(r => String(r.id) === String(reviewId));
+            if (idx === -1) throw httpError(404, 'review not found');
+            return { removed: arr.splice(idx, 1)[0], reviews: arr };
+        });
+        ratings.refresh(productId, reviews);
+
+        // delete uploaded images (and their thumbnails) associated with this review
+        await removeReviewImages(removed.images);
+        audit.record(req, "review.reject", { target: `review:${productId}/${reviewId}`, before: removed });
+
+        res.json({ removed });
+    } catch (e) {
+        sendError(res, e, 'reject review error');
+    }
+});
+
+/* ----------------- IMAGE VARIANTS: backfill ----------------- */
+
+/**
+ * POST /admin/images/variants/backfill
+ * Admin: { force? } — generate variants for existing images in public/images (incl. products/)
+ * in the background. Poll the GET route for progress.
+ */
+app.post("/admin/images/variants/backfill", requireAdmin("catalog"), v.validate({ body: { force: v.boolean() } }), async (req, res) => {
+    try {
+        const files = (await walkImages(IMAGES_DIR)).map(f => f.file);
+        const started = images.startBackfill(files, { force: !!req.body.force });
+        if (!started) {
+            const { body } = v.errorResponse(httpError(409, "A backfill is already running", { code: "BACKFILL_RUNNING" }));
+            return res.status(409).json({ ...body, status: images.backfillStatus() });
+        }
+        audit.record(req, "image.variants.backfill", { target: "variants", after: { force: !!req.body.force, files: files.length } });
+        res.status(202).json({ status: images.backfillStatus() });
+    } catch (err) {
+        sendError(res, err, 'backfill start error');
+    }
+});
+
+/**
+ * GET /admin/images/variants/backfill
+ * Admin: progress of the current / last backfill
+ */
+app.get("/admin/images/variants/backfill", requireAdmin("catalog"), (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.json(images.backfillStatus());
+});
+
+/* ----------------- MEDIA LIBRARY ----------------- */
+
+// url -> products / reviews using it, from the current data files
+// trashed products keep their files until they are purged, so they count as users too
+async function mediaUsage() {
+    const [products, reviews, trashed] = await Promise.all([readProducts(), reviewsStore.read(), trash.list()]);
+    return media.collectUsage(
+        [...products, ...trashed.map(e => ({ ...e.product, name: `${e.product.name} (in the trash)` }))],
+        { ...reviews, ...Object.fromEntries(trashed.map(e => [e.id, e.reviews || []])) }
+    );
+}
+
+async function mediaOrphans() {
+    const [index, usage] = await Promise.all([media.readIndex(), mediaUsage()]);
+    return media.findOrphans(index, usage, { keep: [DEFAULT_PRODUCT_IMAGE] });
+}
+
+/**
+ * GET /admin/media?area=gallery|products|reviews&filter=in-use|unused|orphans|duplicates
+ * Admin: indexed files with their references, plus counts for the whole library.
+ */
+app.get("/admin/media", requireAdmin("catalog"), v.validate({
+    query: {
+        area: v.oneOf(Object.keys(media.AREAS)),
+        filter: v.oneOf(["in-use", "unused", "orphans", "duplicates"])
+    }
+}), async (req, res) => {
+    try {
+        const [index, usage, orphans] = await Promise.all([media.readIndex(), mediaUsage(), mediaOrphans()]);
+        const duplicates = media.findDuplicates(index);
+        const dupeOf = new Map();
+        for (const g of duplicates) for (const r of g.files) dupeOf.set(r.url, g.files.filter(o => o !== r).map(o => o.url));
+        const orphanUrls = new Set(orphans.map(r => r.url));
+
+        let items = index.map(r => ({
+            ...r,
+            references: usage.get(r.url) || [],
+            orphan: orphanUrls.has(r.url),
+            duplicateOf: dupeOf.get(r.url) || []
+        }));
+        const { area, filter } = req.query;
+        if (area) items = items.filter(i => i.area === area);
+        if (filter === "in-use") items = items.filter(i => i.references.length);
+        else if (filter === "unused") items = items.filter(i => !i.references.length);
+        else if (filter === "orphans") items = items.filter(i => i.orphan);
+        else if (filter === "duplicates") items = items.filter(i => i.duplicateOf.length);
+        items.sort((a, b) => new Date(b.mtime) - new Date(a.mtime));
+
+        res.json({
+            summary: {
+                files: index.length,
+                bytes: index.reduce((n, r) => n + (r.size || 0), 0),
+                orphans: orphans.length,
+                orphanBytes: orphans.reduce((n, r) => n + (r.size || 0), 0),
+                duplicateGroups: duplicates.length
+            },
+            items
+        });
+    } catch (err) {
+        sendError(res, err, "media list error");
+    }
+});
+
+/**
+ * POST /admin/media/scan
+ * Admin: re-sync the index with the files on disk
+ */
+app.post("/admin/media/scan", requireAdmin("catalog"), async (req, res) => {
+    try {
+        res.json({ success: true, ...await media.scan() });
+    } catch (err) {
+        sendError(res, err, "media scan error");
+    }
+});
+
+/**
+ * POST /admin/media/orphans/cleanup
+ * Admin: { dryRun? } — delete product images and review photos no product / review uses
+ * (only files older than the grace period; see lib/media.js)
+ */
+app.post("/admin/media/orphans/cleanup", requireAdmin("catalog"), v.validate({ body: { dryRun: v.boolean() } }), async (req, res) => {
+    try {
+        await media.scan();
+        const orphans = await mediaOrphans();
+        const freedBytes = orphans.reduce((n, r) => n + (r.size || 0), 0);
+        if (req.body.dryRun) {
+            return res.json({ dryRun: true, files: orphans.map(r => r.url), freedBytes });
+        }
+        const deleted = [];
+        const errors = [];
+        for (const r of orphans) {
+            try {
+                if (r.area === "reviews") await removeReviewImages([r.url]);
+                else {
+                    await fsp.unlink(media.fileFor(r.url));
+                    await images.removeVariants(r.url);
+                    await media.forget(r.url);
+                    await editor.forget(r.url);
+                }
+                deleted.push(r.url);
+            } catch (err) {
+                errors.push({ file: r.url, error: err.code === "ENOENT" ? "File not found" : err.message });
+            }
+        }
+        if (deleted.length) audit.record(req, "media.orphans.cleanup", { target: "media", before: { files: deleted, freedBytes } });
+        res.json({ deleted, errors, freedBytes });
+    } catch (err) {
+        sendError(res, err, "orphan cleanup error");
+    }
+});
+
+/* ----------------- ORDERS / ENQUIRIES ----------------- */
+
+// types and sizes only; lib/orders.js checks the values (phone format, dates ...)
+const ORDER_BODY = {
+    productId: v.id({ required: true }),
+    customerName: v.string({ max: 80 }),
+    phone: v.string({ max: 30 }),
+    requestedDate: v.string({ max: 10 }),
+    quantity: v.any(),
+    message: v.string({ max: 1000 }),
+    options: v.object(),
+    promoCode: v.string({ max: promotions.MAX_CODE })
+};
+
+/**
+ * POST /orders
+ * Public: the product page posts the enquiry here before opening WhatsApp.
+ * Body: { productId, customerName, phone, requestedDate?, quantity?, message?, options? }
+ * `options` is the chosen configuration ({ groupId: choiceId | [choiceIds] | text }); the order
+ * stores it with the price computed here (lib/options.js), never a price from the client.
+ */
+app.post("/orders", rateLimit.enquiries, v.validate({ body: ORDER_BODY }), async (req, res) => {
+    try {
+        const { values, errors } = orders.validateEnquiry(req.body);
+        if (Object.keys(errors).length) {
+            throw httpError(400, Object.values(errors)[0], { fields: errors });
+        }
+        const product = (await readProducts()).find(p => p.id === values.productId);
+        if (!product) throw httpError(404, "Product not found");
+        const pricing = promotions.applyDiscount(
+            productOptions.priceSelection(product, req.body.options, values.quantity),
+            promotions.discountFor(product, catalog.parsePrice(product.price), await livePromotions(), req.body.promoCode)
+        );
+
+        // sold out / notice / weekday / capacity rules, checked under the orders lock
+        let fillsDay = false;
+        const order = await orders.createOrder(values, product, {
+            check: list => {
+                availability.assertOrderable(product, values, list);
+                fillsDay = availability.remainingOn(product, values.requestedDate, list) === values.quantity;
+            },
+            pricing
+        });
+        notifier.emit("order.created", {
+            orderId: order.id,
+            ref: order.ref,
+            productId: product.id,
+            productName: product.name,
+            customerName: order.customerName,
+            phone: order.phone,
+            requestedDate: order.requestedDate,
+            quantity: order.quantity,
+            options: order.options.map(l => `${l.name}: ${l.value}`).join(", "),
+            total: order.total,
+            message: order.message
+        });
+        if (fillsDay) {
+            notifier.emit("product.fully-booked", {
+                productId: product.id, name: product.name, date: order.requestedDate, dailyCapacity: product.dailyCapacity, ref: order.ref
+            });
+        }
+        res.status(201).json({ id: order.id, ref: order.ref, status: order.status, options: order.options, unitPrice: order.unitPrice, total: order.total, discount: order.discount });
+    } catch (err) {
+        sendError(res, err, 'create order error');
+    }
+});
+
+/**
+ * GET /admin/orders?status=new
+ * Admin: all enquiries (optionally one status), newest first
+ */
+app.get("/admin/orders", requireAdmin("orders"), v.validate({ query: { status: v.oneOf(orders.STATUSES) } }), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        let list = await orders.readOrders();
+        if (req.query.status) list = list.filter(o => o.status === req.query.status);
+        res.json({ orders: list, statuses: orders.STATUSES, transitions: orders.NEXT_STATUS });
+    } catch (err) {
+        sendError(res, err, 'list orders error');
+    }
+});
+
+/**
+ * POST /admin/orders/:id/status
+ * Admin: { status, note? } — moves the order along new → confirmed → baking → ready → delivered (or cancelled)
+ */
+app.post("/admin/orders/:id/status", requireAdmin("orders"), v.validate({
+    params: { id: v.id() },
+    body: { status: v.oneOf(orders.STATUSES, { required: true }), note: v.string({ max: 500 }) }
+}), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const order = await orders.setOrderStatus(req.params.id, status, req.admin.username, note);
+        const previous = order.history[order.history.length - 2];
+        audit.record(req, "order.status", {
+            target: `order:${order.id}`,
+            before: { ref: order.ref, status: previous ? previous.status : null },
+            after: { ref: order.ref, status: order.status, ...(note ? { note } : {}) }
+        });
+        res.json({ success: true, order });
+    } catch (err) {
+        sendError(res, err, 'order status error');
+    }
+});
+
+/* ----------------- NOTIFICATION OUTBOX ----------------- */
+
+/**
+ * GET /admin/notifications?status=failed&event=order.created
+ * Owner: configured channels, message counts by status and the outbox, newest first
+ */
+app.get("/admin/notifications", requireAdmin("owner"), v.validate({
+    query: {
+        status: v.oneOf(notify.STATUSES),
+        event: v.oneOf(notify.EVENTS),
+        limit: v.int({ min: 1, max: 500, default: 100 })
+    }
+}), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const { status, event, limit } = req.query;
+        const result = await notifier.list({ status, event, limit });
+        res.json({ ...result, events: notify.EVENTS, statuses: notify.STATUSES });
+    } catch (err) {
+        sendError(res, err, "list notifications error");
+    }
+});
+
+/**
+ * POST /admin/notifications/:id/retry
+ * Owner: send a failed (or waiting) message again now
+ */
+app.post("/admin/notifications/:id/retry", requireAdmin("owner"), v.validate({ params: { id: v.id() } }), async (req, res) => {
+    try {
+        const msg = await notifier.retry(req.params.id);
+        audit.record(req, "notification.retry", { target: `notification:${msg.id}`, before: { event: msg.event, channel: msg.channel, lastError: msg.lastError } });
+        res.json({ success: true, message: msg });
+    } catch (err) {
+        sendError(res, err, "retry notification error");
+    }
+});
+
+/**
+ * POST /admin/notifications/test
+ * Owner: queue a test message on every configured channel
+ */
+app.post("/admin/notifications/test", requireAdmin("owner"), async (req, res) => {
+    try {
+        if (!notifier.channels().length) {
+            throw httpError(400, "No channels configured (set NOTIFY_WEBHOOK_URLS or SMTP_HOST + NOTIFY_EMAIL_TO)", { code: "NO_CHANNELS" });
+        }
+        const messages = await notifier.emit("test", { by: req.admin.username });
+        audit.record(req, "notification.test", { target: "notifications", after: { channels: messages.map(m => m.channel) } });
+        res.status(202).json({ queued: messages.length, ids: messages.map(m => m.id) });
+    } catch (err) {
+        sendError(res, err, "test notification error");
+    }
+});
+
+/* ----------------- STORAGE HEALTH ----------------- */
+
+/**
+ * GET /admin/storage
+ * Owner: health of each JSON data file (corrupt files are reported here) and its rolling backups
+ */
+app.get("/admin/storage", requireAdmin("owner"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        res.json({ stores: await Promise.all(store.allStores().map(st => st.status())) });
+    } catch (err) {
+        sendError(res, err, "storage status error");
+    }
+});
+
+/* ----------------- BACKUP / RESTORE ----------------- */
+// variants are rebuilt from the images and the media index rescanned, so neither is archived
+const backups = createBackups({
+    dataFiles: [
+        { name: "products", store: productsStore },
+        { name: "reviews", store: reviewsStore },
+        { name: "orders", store: orders.ordersStore },
+        { name: "image-edits", store: editor.editsStore },
+        { name: "albums", store: albums.albumsStore },
+        { name: "promotions", store: promotions.promotionsStore },
+        { name: "trash", store: trash.trashStore }
+    ],
+    mediaDirs: [
+        { name: "images", dir: IMAGES_DIR },
+        { name: "uploads", dir: path.join(PUBLIC_DIR, "uploads") },
+        { name: "originals", dir: editor.ORIGINALS_DIR }
+    ],
+    tmpDir: TMP_DIR,
+    maxBytes: DISK_SIZE_GB * storage.GB
+});
+
+const uploadBackup = multer({
+    storage: multer.diskStorage({
+        destination: TMP_DIR,
+        filename: (req, f, cb) => cb(null, `backup-${Date.now()}-${uuidv4().slice(0,8)}.tar.gz`)
+    }),
+    limits: { fileSize: DISK_SIZE_GB * storage.GB, files: 1 }
+});
+
+/**
+ * GET /admin/backup/export
+ * Owner: download everything (products, reviews, orders, gallery, product images, review photos)
+ * as one .tar.gz with a manifest of sha256 checksums
+ */
+app.get("/admin/backup/export", requireAdmin("owner"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        // download headers only once the archive is ready to stream, so a failure before that
+        // is answered as a plain JSON error
+        await backups.exportTo(res, {
+            createdBy: req.admin.username,
+            onStart: () => {
+                res.attachment(`dorys-backup-${new Date().toISOString().slice(0, 10)}.tar.gz`);
+                res.type("application/gzip");
+            }
+        });
+    } catch (err) {
+        // headers are gone once streaming started — all we can do is cut the download short
+        if (!res.headersSent) sendError(res, err, "backup export error");
+        else {
+            console.error("backup export error", err);
+            res.destroy(err);
+        }
+    }
+});
+
+/**
+ * POST /admin/backup/restore
+ * Owner: multipart "archive" (a file from /admin/backup/export). Validates it and returns a dry run:
+ * { token, manifest, diff: { data: { products: { added, removed, changed, unchanged } ... }, media: { ... } } }
+ * Nothing changes until the token is applied.
+ */
+app.post("/admin/backup/restore", requireAdmin("owner"), acceptUpload(uploadBackup.single("archive")), async (req, res) => {
+    if (!req.file) return sendError(res, httpError(400, "No archive uploaded", { code: "NO_FILE" }));
+    try {
+        res.json(await backups.stage(req.file.path));
+    } catch (err) {
+        sendError(res, err, "restore staging error");
+    } finally {
+        fsp.unlink(req.file.path).catch(() => {});
+    }
+});
+
+/**
+ * POST /admin/backup/restore/:token/apply
+ * Owner: make a staged restore live. Either all of it is applied or none of it.
+ */
+app.post("/admin/backup/restore/:token/apply", requireAdmin("owner"), v.validate({ params: { token: v.id() } }), async (req, res) => {
+    try {
+        const result = await backups.apply(req.params.token);
+        audit.record(req, "backup.restore", { target: "site", after: { manifest: result.manifest, diff: countDiff(result.diff) } });
+        // everything derived from the replaced files is rebuilt
+        ratings.invalidate();
+        editor.invalidate();
+        diskMeter.invalidate();
+        await assignMissingSlugs();
+        await fsp.rm(images.VARIANTS_DIR, { recursive: true, force: true });
+        await fsp.mkdir(images.VARIANTS_DIR, { recursive: true });
+        await fsp.mkdir(UPLOADS_DIR, { recursive: true });
+        await fsp.mkdir(PRODUCTS_IMG_DIR, { recursive: true });
+        images.startBackfill((await walkImages(IMAGES_DIR)).map(f => f.file), { force: true });
+        media.scan().catch(err => console.error("media scan after restore error", err));
+        res.json(result);
+    } catch (err) {
+        sendError(res, err, "restore apply error");
+    }
+});
+
+// { data: { products: { added: 3, ... } }, media: { ... } } — the full lists are too long to log
+function countDiff(diff) {
+    const count = group => Object.fromEntries(Object.entries(group).map(([name, d]) => [name, d && {
+        added: d.added.length, changed: d.changed.length, removed: d.removed.length, unchanged: d.unchanged
+    }]));
+    return { data: count(diff.data), media: count(diff.media) };
+}
+
+/**
+ * DELETE /admin/backup/restore/:token
+ * Owner: throw a staged restore away
+ */
+app.delete("/admin/backup/restore/:token", requireAdmin("owner"), v.validate({ params: { token: v.id() } }), async (req, res) => {
+    try {
+        if (!(await backups.discard(req.params.token))) throw httpError(404, "Restore not found");
+        audit.record(req, "backup.restore.discard", { target: `restore:${req.params.token}` });
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err, "restore discard error");
+    }
+});
+
+/* ----------------- AUDIT LOG ----------------- */
+
+/**
+ * GET /admin/audit?actor=&action=&target=&q=&from=&to=&page=&limit=
+ * Owner: admin actions, newest first. action may be a prefix ending in "." (e.g. "product.")
+ */
+app.get("/admin/audit", requireAdmin("owner"), v.validate({
+    query: {
+        actor: v.string({ max: 64 }),
+        action: v.string({ max: 100 }),
+        target: v.string({ max: 200 }),
+        q: v.string({ max: 200 }),
+        from: v.string({ max: 40 }),
+        to: v.string({ max: 40 }),
+        page: v.int({ min: 1 }),
+        limit: v.int({ min: 1, max: audit.MAX_LIMIT })
+    }
+}), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        res.json({ ...await audit.query(req.query), actions: audit.ACTIONS });
+    } catch (err) {
+        sendError(res, err, "audit log error");
+    }
+});
+
+/* ----------------- ADMIN AUTH: login / logout / staff accounts ----------------- */
+
+/**
+ * POST /admin/login
+ * Body: { username, password } — sets the signed session cookie, returns the CSRF token
+ */
+app.post("/admin/login", v.validate({
+    body: { username: v.string({ max: 64, default: "" }), password: v.string({ max: 200, trim: false, default: "" }) }
+}), (req, res) => {
+    const ip = req.ip;
+    if (auth.isLoginBlocked(ip)) {
+        return sendError(res, httpError(429, "Too many failed logins, try again in a few minutes", { code: "LOGIN_BLOCKED" }));
+    }
+    const { username, password } = req.body;
+    const user = auth.authenticate(username, password);
+    if (!user) {
+        auth.recordLoginFailure(ip);
+        audit.record(req, "auth.login.failed", { actor: username || null });
+        return sendError(res, httpError(401, "Invalid username or password", { code: "INVALID_CREDENTIALS" }));
+    }
+    auth.clearLoginFailures(ip);
+    const session = auth.startSession(req, res, user);
+    audit.record(req, "auth.login", { actor: user.username, after: { role: user.role } });
+    res.json({ user: { username: user.username, role: user.role }, csrfToken: session.csrf });
+});
+
+/**
+ * POST /admin/logout
+ * Ends the current session (no CSRF needed — logging out is harmless)
+ */
+app.post("/admin/logout", (req, res) => {
+    auth.endSession(req, res);
+    res.json({ success: true });
+});
+
+/**
+ * GET /admin/session
+ * Returns the logged-in user and CSRF token (admin pages call this on load)
+ */
+app.get("/admin/session", (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const s = auth.readSession(req);
+    if (!s) return sendError(res, httpError(401, "Admin authentication required"));
+    res.json({ user: { username: s.username, role: s.role }, csrfToken: s.csrf });
+});
+
+/**
+ * GET /admin/users
+ * Owner only: list staff accounts
+ */
+app.get("/admin/users", requireAdmin("owner"), (req, res) => {
+    res.json({ users: auth.listUsers(), roles: auth.ROLES });
+});
+
+/**
+ * POST /admin/users/add
+ * Owner only: { username, password, role }
+ */
+app.post("/admin/users/add", requireAdmin("owner"), v.validate({
+    body: {
+        username: v.string({ required: true, max: 64 }),
+        password: v.string({ required: true, max: 200, trim: false }),
+        role: v.oneOf(auth.ROLES, { required: true })
+    }
+}), (req, res) => {
+    try {
+        const user = auth.addUser(req.body);
+        audit.record(req, "user.add", { target: `user:${user.username}`, after: user });
+        res.json({ success: true, user });
+    } catch (err) {
+        sendError(res, err, "admin users error");
+    }
+});
+
+/**
+ * POST /admin/users/delete
+ * Owner only: { username }
+ */
+app.post("/admin/users/delete", requireAdmin("owner"), v.validate({ body: { username: v.string({ required: true, max: 64 }) } }), (req, res) => {
+    try {
+        const user = auth.removeUser(req.body.username);
+        audit.record(req, "user.delete", { target: `user:${user.username}`, before: user });
+        res.json({ success: true, user });
+    } catch (err) {
+        sendError(res, err, "admin users error");
+    }
+});
+
+/* ----------------- ERRORS ----------------- */
+// anything a route passed on or threw synchronously (bad JSON bodies land here too)
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    sendError(res, err, `${req.method} ${req.path} error`);
 });
 
 /* ----------------- START ----------------- */